@@ -0,0 +1,63 @@
+/**
+ * Response caching for the Vercel serverless routes
+ * 
+ * Caches successful backend responses in a pluggable store (see
+ * memory-store.js for the interface). Clients skip the cache by sending
+ * `Cache-Control: no-cache`; responses say how they were served in the
+ * `X-Cache` header (HIT, MISS or BYPASS).
+ */
+
+import { MemoryStore } from './memory-store.js';
+
+const defaultStore = new MemoryStore({ maxKeys: 5000 });
+
+/**
+ * Create a namespaced cache.
+ * 
+ * options:
+ *   name  - key namespace (one per route)
+ *   ttlMs - how long entries stay fresh
+ *   store - backing store (defaults to a shared MemoryStore)
+ */
+export function createCache({ name, ttlMs, store = defaultStore }) {
+    return {
+        async get(key) {
+            try {
+                return await store.get(`${name}:${key}`);
+            } catch (error) {
+                // A broken cache should never break the route
+                console.error('Cache read error:', error);
+                return null;
+            }
+        },
+
+        async set(key, value) {
+            try {
+                await store.set(`${name}:${key}`, value, ttlMs);
+            } catch (error) {
+                console.error('Cache write error:', error);
+            }
+        }
+    };
+}
+
+/**
+ * Whether the client asked to skip the cache
+ */
+export function wantsFreshResponse(req) {
+    const cacheControl = (req.headers && req.headers['cache-control']) || '';
+    return /no-cache|no-store/i.test(cacheControl);
+}
+
+/**
+ * Normalize item text for cache keys: case, spacing and punctuation
+ * differences shouldn't produce different entries. Keep in sync with the
+ * copy in app.js (tests/api/cache.test.js compares the two).
+ */
+export function normalizeItemText(text) {
+    return String(text)
+        .toLowerCase()
+        .replace(/[^\w\s%.-]/g, '')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
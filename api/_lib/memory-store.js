@@ -0,0 +1,39 @@
+/**
+ * In-memory key/value store with expiry
+ * 
+ * Default store for rate limiting and caching. Implements the store
+ * interface shared by those modules:
+ *   get(key)                -> value or null
+ *   set(key, value, ttlMs)
+ * Both may return promises, so a shared store (Redis, Vercel KV, ...)
+ * can be dropped in. Entries only live as long as the function instance.
+ */
+
+const DEFAULT_MAX_KEYS = 10000;
+
+export class MemoryStore {
+    constructor({ maxKeys = DEFAULT_MAX_KEYS } = {}) {
+        this.maxKeys = maxKeys;
+        this.entries = new Map();
+    }
+
+    async get(key) {
+        const entry = this.entries.get(key);
+        if (!entry) {
+            return null;
+        }
+        if (entry.expiresAt <= Date.now()) {
+            this.entries.delete(key);
+            return null;
+        }
+        return entry.value;
+    }
+
+    async set(key, value, ttlMs) {
+        // Drop the oldest entry rather than grow without bound
+        if (!this.entries.has(key) && this.entries.size >= this.maxKeys) {
+            this.entries.delete(this.entries.keys().next().value);
+        }
+        this.entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+    }
+}
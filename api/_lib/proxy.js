@@ -0,0 +1,258 @@
+/**
+ * Shared backend proxy for the Vercel serverless routes
+ * 
+ * Every /api route forwards to the same backend. This module owns the
+ * upstream URL, timeouts, retries, request IDs, logging and the error
+ * envelope, so each route only describes what it forwards.
+ * 
+ * Files under api/_lib are not deployed as routes (underscore prefix).
+ * 
+ * Error envelope (all proxy-generated errors and upstream errors):
+ *   { error: 'Human readable message', code: 'MACHINE_CODE', request_id, details? }
+ */
+
+import { randomUUID } from 'crypto';
+
+const DEFAULT_TIMEOUT = 10000;  // ms
+const DEFAULT_GET_RETRIES = 2;  // extra attempts for idempotent requests
+const RETRY_BASE_DELAY = 250;  // ms, doubled on each retry
+
+/**
+ * Error raised for anything that goes wrong talking to the backend
+ */
+export class UpstreamError extends Error {
+    constructor(code, message, status = 502, { retryable = false, details } = {}) {
+        super(message);
+        this.name = 'UpstreamError';
+        this.code = code;
+        this.status = status;
+        this.retryable = retryable;
+        this.details = details;
+    }
+}
+
+/**
+ * Write one structured (JSON) log line
+ */
+export function log(level, message, fields = {}) {
+    const line = JSON.stringify({
+        level,
+        message,
+        time: new Date().toISOString(),
+        ...fields
+    });
+
+    if (level === 'error') {
+        console.error(line);
+    } else if (level === 'warn') {
+        console.warn(line);
+    } else {
+        console.log(line);
+    }
+}
+
+/**
+ * Reuse the caller's request ID or create one, and echo it on the response
+ */
+export function getRequestId(req, res) {
+    const incoming = req.headers && req.headers['x-request-id'];
+    const requestId = typeof incoming === 'string' && /^[\w-]{1,128}$/.test(incoming)
+        ? incoming
+        : randomUUID();
+
+    res.setHeader('X-Request-ID', requestId);
+    return requestId;
+}
+
+/**
+ * Send an error in the standard envelope
+ */
+export function sendError(res, status, code, message, { requestId, details } = {}) {
+    const body = { error: message, code, request_id: requestId };
+    if (details !== undefined) {
+        body.details = details;
+    }
+    return res.status(status).json(body);
+}
+
+/**
+ * Reject methods a route doesn't support. Returns true if the request was handled.
+ */
+export function rejectMethod(req, res, allowed, requestId) {
+    if (allowed.includes(req.method)) {
+        return false;
+    }
+
+    res.setHeader('Allow', allowed.join(', '));
+    sendError(res, 405, 'METHOD_NOT_ALLOWED', 'Method not allowed', { requestId });
+    return true;
+}
+
+/**
+ * Backend base URL from the environment (no trailing slash)
+ */
+function getBackendUrl() {
+    const url = process.env.BACKEND_API_URL;
+    if (!url) {
+        throw new UpstreamError('UPSTREAM_NOT_CONFIGURED', 'Backend API URL is not configured', 500);
+    }
+    return url.replace(/\/+$/, '');
+}
+
+/**
+ * Parse a backend response body, tolerating non-JSON replies
+ */
+async function parseBody(response) {
+    const text = await response.text();
+    if (!text) {
+        return null;
+    }
+
+    try {
+        return JSON.parse(text);
+    } catch (error) {
+        throw new UpstreamError(
+            'UPSTREAM_INVALID_RESPONSE',
+            'Backend returned an invalid response',
+            502,
+            { retryable: response.status >= 500, details: { status: response.status, body: text.slice(0, 200) } }
+        );
+    }
+}
+
+/**
+ * Wrap backend error bodies (e.g. FastAPI's { detail }) in the standard envelope
+ */
+function normalizeUpstreamError(status, data, requestId) {
+    if (data && typeof data.error === 'string' && data.code) {
+        return { ...data, request_id: data.request_id || requestId };
+    }
+
+    const message = (data && (typeof data.error === 'string' ? data.error : typeof data.detail === 'string' ? data.detail : null))
+        || 'Backend request failed';
+
+    return {
+        error: message,
+        code: status === 404 ? 'UPSTREAM_NOT_FOUND' : 'UPSTREAM_ERROR',
+        request_id: requestId,
+        details: data
+    };
+}
+
+/**
+ * Call the backend with a timeout, retrying idempotent requests on
+ * network errors, timeouts and 5xx responses.
+ * Resolves to { status, data } or throws UpstreamError.
+ */
+export async function fetchUpstream(path, { method = 'GET', body, timeout = DEFAULT_TIMEOUT, retries, requestId } = {}) {
+    const url = `${getBackendUrl()}${path}`;
+    const maxRetries = retries ?? (method === 'GET' ? DEFAULT_GET_RETRIES : 0);
+
+    for (let attempt = 0; ; attempt++) {
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), timeout);
+
+        try {
+            const response = await fetch(url, {
+                method,
+                headers: {
+                    'Content-Type': 'application/json',
+                    'X-Request-ID': requestId
+                },
+                body: body === undefined ? undefined : JSON.stringify(body),
+                signal: controller.signal
+            });
+
+            const data = await parseBody(response);
+
+            if (response.status >= 500 && attempt < maxRetries) {
+                throw new UpstreamError('UPSTREAM_ERROR', `Backend returned ${response.status}`, 502, { retryable: true });
+            }
+
+            return { status: response.status, data };
+
+        } catch (error) {
+            const upstreamError = error instanceof UpstreamError
+                ? error
+                : error.name === 'AbortError'
+                    ? new UpstreamError('UPSTREAM_TIMEOUT', `Backend did not respond within ${timeout}ms`, 504, { retryable: true })
+                    : new UpstreamError('UPSTREAM_UNREACHABLE', 'Failed to contact backend API', 502, { retryable: true, details: error.message });
+
+            if (!upstreamError.retryable || attempt >= maxRetries) {
+                throw upstreamError;
+            }
+
+            log('warn', 'Retrying backend request', {
+                request_id: requestId,
+                method,
+                path,
+                attempt: attempt + 1,
+                code: upstreamError.code
+            });
+            await new Promise(resolve => setTimeout(resolve, RETRY_BASE_DELAY * Math.pow(2, attempt)));
+
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+}
+
+/**
+ * Forward a request to the backend and relay the response.
+ * 
+ * options:
+ *   route     - name used in logs (e.g. 'cart')
+ *   path      - backend path (e.g. '/api/cart')
+ *   method    - defaults to the incoming method
+ *   body      - JSON body to forward
+ *   timeout   - ms before giving up
+ *   retries   - extra attempts (defaults to 2 for GET, 0 otherwise)
+ *   requestId - from getRequestId(); generated if omitted
+ *   onSuccess - called with the response data for 2xx responses (e.g. to cache it)
+ */
+export async function proxyRequest(req, res, { route, path, method = req.method, body, timeout, retries, requestId, onSuccess }) {
+    requestId = requestId || getRequestId(req, res);
+    const startedAt = Date.now();
+
+    try {
+        const { status, data } = await fetchUpstream(path, { method, body, timeout, retries, requestId });
+
+        log(status >= 500 ? 'error' : 'info', 'Proxied request', {
+            request_id: requestId,
+            route,
+            method,
+            status,
+            duration_ms: Date.now() - startedAt
+        });
+
+        if (status >= 400) {
+            return res.status(status).json(normalizeUpstreamError(status, data, requestId));
+        }
+
+        if (onSuccess && status < 300) {
+            await onSuccess(data);
+        }
+
+        return res.status(status).json(data);
+
+    } catch (error) {
+        const upstreamError = error instanceof UpstreamError
+            ? error
+            : new UpstreamError('PROXY_ERROR', 'Unexpected proxy error', 500, { details: error.message });
+
+        log('error', 'Proxy error', {
+            request_id: requestId,
+            route,
+            method,
+            status: upstreamError.status,
+            code: upstreamError.code,
+            error: upstreamError.message,
+            duration_ms: Date.now() - startedAt
+        });
+
+        return sendError(res, upstreamError.status, upstreamError.code, upstreamError.message, {
+            requestId,
+            details: upstreamError.details
+        });
+    }
+}
@@ -0,0 +1,99 @@
+/**
+ * Per-client rate limiting for the Vercel serverless routes
+ * 
+ * Token bucket keyed by client IP: each client starts with `capacity`
+ * tokens, every request spends one, and tokens refill continuously at
+ * `refillPerSecond`. An empty bucket gets a 429 with Retry-After.
+ * 
+ * Buckets live in a pluggable store. The default MemoryStore is per
+ * function instance, so limits are approximate when Vercel runs several
+ * instances - pass a shared store (e.g. Redis/KV) implementing
+ * get(key) / set(key, value, ttlMs) for exact limits.
+ */
+
+import { MemoryStore } from './memory-store.js';
+import { sendError } from './proxy.js';
+
+const defaultStore = new MemoryStore();
+
+/**
+ * Client IP from Vercel's forwarding headers
+ */
+export function getClientIp(req) {
+    const forwarded = req.headers && req.headers['x-forwarded-for'];
+    if (typeof forwarded === 'string' && forwarded) {
+        return forwarded.split(',')[0].trim();
+    }
+    return (req.headers && req.headers['x-real-ip']) || (req.socket && req.socket.remoteAddress) || 'unknown';
+}
+
+/**
+ * Create a token bucket limiter.
+ * 
+ * options:
+ *   name            - bucket namespace (one per route)
+ *   capacity        - burst size
+ *   refillPerSecond - sustained request rate
+ *   store           - bucket store (defaults to a shared MemoryStore)
+ */
+export function createRateLimiter({ name, capacity, refillPerSecond, store = defaultStore }) {
+    // A bucket that has fully refilled is the same as no bucket
+    const ttlMs = Math.ceil((capacity / refillPerSecond) * 1000);
+
+    return {
+        capacity,
+
+        /**
+         * Spend a token for this client.
+         * Resolves to { allowed, remaining, retryAfter } (retryAfter in seconds).
+         */
+        async take(clientId) {
+            const key = `${name}:${clientId}`;
+            const now = Date.now();
+            const bucket = (await store.get(key)) || { tokens: capacity, updatedAt: now };
+
+            const elapsed = (now - bucket.updatedAt) / 1000;
+            const tokens = Math.min(capacity, bucket.tokens + elapsed * refillPerSecond);
+
+            if (tokens < 1) {
+                await store.set(key, { tokens, updatedAt: now }, ttlMs);
+                return {
+                    allowed: false,
+                    remaining: 0,
+                    retryAfter: Math.ceil((1 - tokens) / refillPerSecond)
+                };
+            }
+
+            await store.set(key, { tokens: tokens - 1, updatedAt: now }, ttlMs);
+            return { allowed: true, remaining: Math.floor(tokens - 1), retryAfter: 0 };
+        }
+    };
+}
+
+/**
+ * Apply a limiter to a request. Sends 429 and returns true if the client
+ * is over its limit. A failing store lets the request through.
+ */
+export async function rejectRateLimited(req, res, limiter, requestId) {
+    let result;
+    try {
+        result = await limiter.take(getClientIp(req));
+    } catch (error) {
+        console.error('Rate limit store error:', error);
+        return false;
+    }
+
+    res.setHeader('X-RateLimit-Limit', String(limiter.capacity));
+    res.setHeader('X-RateLimit-Remaining', String(result.remaining));
+
+    if (result.allowed) {
+        return false;
+    }
+
+    res.setHeader('Retry-After', String(result.retryAfter));
+    sendError(res, 429, 'RATE_LIMITED', 'Too many requests, please slow down', {
+        requestId,
+        details: { retry_after: result.retryAfter }
+    });
+    return true;
+}
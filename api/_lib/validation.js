@@ -0,0 +1,186 @@
+/**
+ * Request validation for the Vercel serverless routes
+ * 
+ * Schemas are plain objects describing each field. validate() checks a
+ * request body against one and returns field-level errors plus a copy of
+ * the body containing only the declared fields, so nothing unexpected is
+ * forwarded to the backend.
+ * 
+ * Rule options:
+ *   type       - 'string' | 'number' | 'boolean' | 'array' | 'object'
+ *   required   - field must be present
+ *   nullable   - null is accepted
+ *   minLength / maxLength / pattern  (strings)
+ *   min / max                        (numbers)
+ *   minItems / maxItems / items      (arrays)
+ *   properties                       (objects)
+ *   message    - override the error message for this field
+ */
+
+import { sendError } from './proxy.js';
+
+// Keep in sync with CONFIG.MAX_ITEMS in app.js
+export const MAX_ITEMS = 10;
+const MAX_ITEM_LENGTH = 100;
+
+// Backend job IDs are UUIDs; accept any similar opaque token
+export const JOB_ID_PATTERN = /^[A-Za-z0-9-]{8,64}$/;
+
+const itemName = { type: 'string', minLength: 1, maxLength: MAX_ITEM_LENGTH };
+
+// Keep in sync with CONFIG.MAX_STORE_PREFS and CONFIG.MAX_DISTANCE_LIMIT in app.js
+const MAX_STORE_PREFS = 20;
+const MAX_DISTANCE_MILES = 100;
+const merchantName = { type: 'string', minLength: 1, maxLength: 100 };
+
+export const cartSchema = {
+    items: { type: 'array', required: true, minItems: 1, maxItems: MAX_ITEMS, items: itemName },
+    zipcode: { type: 'string', required: true, pattern: /^\d{5}$/, message: 'Must be a 5-digit ZIP code' },
+    prioritize_nearby: { type: 'boolean' },
+    item_details: {
+        type: 'array',
+        maxItems: MAX_ITEMS,
+        items: {
+            type: 'object',
+            properties: {
+                name: { ...itemName, required: true },
+                quantity: { type: 'number', required: true, min: 0.01, max: 1000 },
+                unit: { type: 'string', nullable: true, maxLength: 20 }
+            }
+        }
+    },
+    store_preferences: {
+        type: 'object',
+        properties: {
+            favorite_merchants: { type: 'array', maxItems: MAX_STORE_PREFS, items: merchantName },
+            excluded_merchants: { type: 'array', maxItems: MAX_STORE_PREFS, items: merchantName },
+            max_distance_miles: { type: 'number', nullable: true, min: 1, max: MAX_DISTANCE_MILES }
+        }
+    }
+};
+
+export const clarifySchema = {
+    item: { type: 'string', required: true, minLength: 2, maxLength: MAX_ITEM_LENGTH },
+    context: { type: 'array', maxItems: MAX_ITEMS, items: itemName }
+};
+
+/**
+ * Type check that tells arrays, objects and null apart
+ */
+function typeOf(value) {
+    if (value === null) {
+        return 'null';
+    }
+    return Array.isArray(value) ? 'array' : typeof value;
+}
+
+/**
+ * Validate one value against a rule. Pushes { field, message } onto errors
+ * and returns the sanitized value.
+ */
+function validateValue(value, rule, field, errors) {
+    const fail = message => {
+        errors.push({ field, message: rule.message || message });
+        return undefined;
+    };
+
+    if (value === null && rule.nullable) {
+        return null;
+    }
+
+    if (typeOf(value) !== rule.type || (rule.type === 'number' && !Number.isFinite(value))) {
+        return fail(`Must be ${rule.type === 'array' || rule.type === 'object' ? 'an' : 'a'} ${rule.type}`);
+    }
+
+    if (rule.type === 'string') {
+        const trimmed = value.trim();
+        if (rule.minLength !== undefined && trimmed.length < rule.minLength) {
+            return fail(rule.minLength === 1 ? 'Must not be empty' : `Must be at least ${rule.minLength} characters`);
+        }
+        if (rule.maxLength !== undefined && value.length > rule.maxLength) {
+            return fail(`Must be at most ${rule.maxLength} characters`);
+        }
+        if (rule.pattern && !rule.pattern.test(value)) {
+            return fail('Has an invalid format');
+        }
+        // Forwarded unchanged - results come back keyed by these exact strings
+        return value;
+    }
+
+    if (rule.type === 'number') {
+        if (rule.min !== undefined && value < rule.min) {
+            return fail(`Must be at least ${rule.min}`);
+        }
+        if (rule.max !== undefined && value > rule.max) {
+            return fail(`Must be at most ${rule.max}`);
+        }
+        return value;
+    }
+
+    if (rule.type === 'array') {
+        if (rule.minItems !== undefined && value.length < rule.minItems) {
+            return fail(`Must have at least ${rule.minItems} item${rule.minItems !== 1 ? 's' : ''}`);
+        }
+        if (rule.maxItems !== undefined && value.length > rule.maxItems) {
+            return fail(`Must have at most ${rule.maxItems} items`);
+        }
+        return rule.items
+            ? value.map((entry, index) => validateValue(entry, rule.items, `${field}[${index}]`, errors))
+            : value;
+    }
+
+    if (rule.type === 'object') {
+        return rule.properties ? validateObject(value, rule.properties, `${field}.`, errors) : value;
+    }
+
+    return value;
+}
+
+/**
+ * Validate each declared property of an object, dropping undeclared ones
+ */
+function validateObject(value, properties, prefix, errors) {
+    const result = {};
+
+    Object.keys(properties).forEach(key => {
+        const rule = properties[key];
+        const field = `${prefix}${key}`;
+
+        if (value[key] === undefined) {
+            if (rule.required) {
+                errors.push({ field, message: 'Is required' });
+            }
+            return;
+        }
+
+        result[key] = validateValue(value[key], rule, field, errors);
+    });
+
+    return result;
+}
+
+/**
+ * Validate a request body against a schema.
+ * Returns { errors: [{ field, message }], value }.
+ */
+export function validate(body, schema) {
+    const errors = [];
+
+    if (typeOf(body) !== 'object') {
+        errors.push({ field: 'body', message: 'Request body must be a JSON object' });
+        return { errors, value: null };
+    }
+
+    const value = validateObject(body, schema, '', errors);
+    return { errors, value };
+}
+
+/**
+ * Respond with 400 and field-level details
+ */
+export function sendValidationError(res, errors, requestId) {
+    return sendError(res, 400, 'VALIDATION_ERROR', 'Invalid request', {
+        requestId,
+        details: { fields: errors }
+    });
+}
@@ -0,0 +1,37 @@
+/**
+ * Vercel Serverless Function - Proxy for /api/cancel/{jobId}
+ * 
+ * Forwards job cancellation requests to the backend API
+ */
+
+import { getRequestId, proxyRequest, rejectMethod, sendError } from '../_lib/proxy.js';
+import { JOB_ID_PATTERN, sendValidationError } from '../_lib/validation.js';
+
+const TIMEOUT = 8000;  // ms - the user is waiting on the cancel button
+
+export default async function handler(req, res) {
+    const requestId = getRequestId(req, res);
+
+    if (rejectMethod(req, res, ['POST'], requestId)) {
+        return;
+    }
+
+    const { jobId } = req.query;
+
+    if (!jobId) {
+        return sendError(res, 400, 'MISSING_JOB_ID', 'Job ID is required', { requestId });
+    }
+
+    if (!JOB_ID_PATTERN.test(jobId)) {
+        return sendValidationError(res, [{ field: 'jobId', message: 'Has an invalid format' }], requestId);
+    }
+
+    // Cancelling twice is harmless, so retry like a GET
+    return proxyRequest(req, res, {
+        route: 'cancel',
+        path: `/api/cancel/${encodeURIComponent(jobId)}`,
+        timeout: TIMEOUT,
+        retries: 2,
+        requestId
+    });
+}
@@ -4,30 +4,37 @@
  * Proxies cart submission requests to the backend API
  */
 
+import { getRequestId, proxyRequest, rejectMethod } from './_lib/proxy.js';
+import { createRateLimiter, rejectRateLimited } from './_lib/rate-limit.js';
+import { cartSchema, sendValidationError, validate } from './_lib/validation.js';
+
+const TIMEOUT = 15000;  // ms - creating a job should be quick, but allow a busy queue
+
+// Every submit starts a backend scraping job: 5 at once, then 1 a minute
+const limiter = createRateLimiter({ name: 'cart', capacity: 5, refillPerSecond: 1 / 60 });
+
 export default async function handler(req, res) {
-    if (req.method !== 'POST') {
-        return res.status(405).json({ error: 'Method not allowed' });
+    const requestId = getRequestId(req, res);
+
+    if (rejectMethod(req, res, ['POST'], requestId)) {
+        return;
     }
 
-    try {
-        const backendUrl = process.env.BACKEND_API_URL || 'http://146.190.129.92:8000';
-        const response = await fetch(`${backendUrl}/api/cart`, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-            },
-            body: JSON.stringify(req.body)
-        });
-
-        const data = await response.json();
-        return res.status(response.status).json(data);
-        
-    } catch (error) {
-        console.error('Proxy error:', error);
-        return res.status(500).json({ 
-            error: 'Failed to contact backend API',
-            details: error.message 
-        });
+    if (await rejectRateLimited(req, res, limiter, requestId)) {
+        return;
+    }
+
+    const { errors, value } = validate(req.body, cartSchema);
+    if (errors.length > 0) {
+        return sendValidationError(res, errors, requestId);
     }
-}
 
+    // Not retried: each POST creates a new backend job
+    return proxyRequest(req, res, {
+        route: 'cart',
+        path: '/api/cart',
+        body: value,
+        timeout: TIMEOUT,
+        requestId
+    });
+}
@@ -6,34 +6,63 @@
  * proxies the request over the server side where mixed content isn't blocked.
  */
 
+import { createCache, normalizeItemText, wantsFreshResponse } from './_lib/cache.js';
+import { getRequestId, proxyRequest, rejectMethod } from './_lib/proxy.js';
+import { createRateLimiter, rejectRateLimited } from './_lib/rate-limit.js';
+import { clarifySchema, sendValidationError, validate } from './_lib/validation.js';
+
+const TIMEOUT = 20000;  // ms - the AI call can be slow
+
+// Enough for quickly typing a full list, not for scripted hammering
+const limiter = createRateLimiter({ name: 'clarify', capacity: 20, refillPerSecond: 0.5 });
+
+// Suggestions for staple items rarely change - skip the AI round trip
+const cache = createCache({ name: 'clarify', ttlMs: 24 * 60 * 60 * 1000 });
+
+/**
+ * Cache key: normalized item plus the (order-independent) cart context
+ */
+function getCacheKey({ item, context = [] }) {
+    const normalizedContext = [...new Set(context.map(normalizeItemText))].sort();
+    return `${normalizeItemText(item)}|${normalizedContext.join(',')}`;
+}
+
 export default async function handler(req, res) {
+    const requestId = getRequestId(req, res);
+
     // Only allow POST
-    if (req.method !== 'POST') {
-        return res.status(405).json({ error: 'Method not allowed' });
+    if (rejectMethod(req, res, ['POST'], requestId)) {
+        return;
     }
 
-    try {
-        // Forward request to backend API
-        const backendUrl = process.env.BACKEND_API_URL || 'http://146.190.129.92:8000';
-        const response = await fetch(`${backendUrl}/api/clarify`, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-            },
-            body: JSON.stringify(req.body)
-        });
-
-        const data = await response.json();
-        
-        // Return response
-        return res.status(response.status).json(data);
-        
-    } catch (error) {
-        console.error('Proxy error:', error);
-        return res.status(500).json({ 
-            error: 'Failed to contact backend API',
-            details: error.message 
-        });
+    if (await rejectRateLimited(req, res, limiter, requestId)) {
+        return;
     }
-}
 
+    const { errors, value } = validate(req.body, clarifySchema);
+    if (errors.length > 0) {
+        return sendValidationError(res, errors, requestId);
+    }
+
+    const cacheKey = getCacheKey(value);
+    const bypassCache = wantsFreshResponse(req);
+
+    if (!bypassCache) {
+        const cached = await cache.get(cacheKey);
+        if (cached) {
+            res.setHeader('X-Cache', 'HIT');
+            return res.status(200).json(cached);
+        }
+    }
+
+    res.setHeader('X-Cache', bypassCache ? 'BYPASS' : 'MISS');
+
+    return proxyRequest(req, res, {
+        route: 'clarify',
+        path: '/api/clarify',
+        body: value,
+        timeout: TIMEOUT,
+        requestId,
+        onSuccess: data => cache.set(cacheKey, data)
+    });
+}
@@ -4,30 +4,32 @@
  * Proxies result polling requests to the backend API
  */
 
+import { getRequestId, proxyRequest, rejectMethod, sendError } from '../_lib/proxy.js';
+import { JOB_ID_PATTERN, sendValidationError } from '../_lib/validation.js';
+
+const TIMEOUT = 8000;  // ms - polled repeatedly, so fail fast and let the retry kick in
+
 export default async function handler(req, res) {
-    if (req.method !== 'GET') {
-        return res.status(405).json({ error: 'Method not allowed' });
+    const requestId = getRequestId(req, res);
+
+    if (rejectMethod(req, res, ['GET'], requestId)) {
+        return;
     }
 
     const { jobId } = req.query;
 
     if (!jobId) {
-        return res.status(400).json({ error: 'Job ID is required' });
+        return sendError(res, 400, 'MISSING_JOB_ID', 'Job ID is required', { requestId });
     }
 
-    try {
-        const backendUrl = process.env.BACKEND_API_URL || 'http://146.190.129.92:8000';
-        const response = await fetch(`${backendUrl}/api/results/${jobId}`);
-
-        const data = await response.json();
-        return res.status(response.status).json(data);
-        
-    } catch (error) {
-        console.error('Proxy error:', error);
-        return res.status(500).json({ 
-            error: 'Failed to contact backend API',
-            details: error.message 
-        });
+    if (!JOB_ID_PATTERN.test(jobId)) {
+        return sendValidationError(res, [{ field: 'jobId', message: 'Has an invalid format' }], requestId);
     }
-}
 
+    return proxyRequest(req, res, {
+        route: 'results',
+        path: `/api/results/${encodeURIComponent(jobId)}`,
+        timeout: TIMEOUT,
+        requestId
+    });
+}
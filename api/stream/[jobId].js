@@ -0,0 +1,155 @@
+/**
+ * Vercel Serverless Function - Progress stream for /api/stream/{jobId}
+ * 
+ * Polls the backend for job status on the server side and relays progress
+ * to the browser as server-sent events, so the client doesn't have to poll.
+ * 
+ * Events:
+ *   progress - { status, queue_position, items_done, items_total, merchants_scraped }
+ *   partial  - full payload whenever a processing job returns results for more items
+ *   complete - full results payload
+ *   failed   - backend reported the job failed
+ *   timeout  - stream hit its time limit; the client should reconnect
+ */
+
+import { createRequire } from 'module';
+import { fetchUpstream, getRequestId, log, rejectMethod, sendError } from '../_lib/proxy.js';
+import { createRateLimiter, rejectRateLimited } from '../_lib/rate-limit.js';
+import { JOB_ID_PATTERN, sendValidationError } from '../_lib/validation.js';
+
+const require = createRequire(import.meta.url);
+const { functions } = require('../../vercel.json');
+
+const UPSTREAM_POLL_INTERVAL = 1000;  // ms between backend polls
+const UPSTREAM_TIMEOUT = 5000;  // ms per backend poll
+const STREAM_END_MARGIN = UPSTREAM_TIMEOUT;  // ms left to finish the last poll and say goodbye
+// Ends the stream with a `timeout` event before Vercel kills the function
+export const MAX_STREAM_DURATION = functions['api/stream/[jobId].js'].maxDuration * 1000 - STREAM_END_MARGIN;
+
+// Each stream polls the backend every second: allow reconnects and a few
+// tabs, not a client opening streams in a loop
+const limiter = createRateLimiter({ name: 'stream', capacity: 10, refillPerSecond: 1 / 6 });
+
+/**
+ * Extract progress fields from a backend results response
+ */
+function getProgress(data) {
+    const progress = data.progress || {};
+    return {
+        status: data.status,
+        queue_position: data.queue_position ?? null,
+        items_done: progress.items_done ?? data.items_done ?? (data.results ? Object.keys(data.results).length : null),
+        items_total: progress.items_total ?? data.items_total ?? null,
+        merchants_scraped: progress.merchants_scraped ?? data.merchants_scraped ?? null
+    };
+}
+
+/**
+ * Write one server-sent event
+ */
+function sendEvent(res, event, data) {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+export default async function handler(req, res) {
+    const requestId = getRequestId(req, res);
+
+    if (rejectMethod(req, res, ['GET'], requestId)) {
+        return;
+    }
+
+    if (await rejectRateLimited(req, res, limiter, requestId)) {
+        return;
+    }
+
+    const { jobId } = req.query;
+
+    if (!jobId) {
+        return sendError(res, 400, 'MISSING_JOB_ID', 'Job ID is required', { requestId });
+    }
+
+    if (!JOB_ID_PATTERN.test(jobId)) {
+        return sendValidationError(res, [{ field: 'jobId', message: 'Has an invalid format' }], requestId);
+    }
+
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache, no-transform',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+
+    let closed = false;
+    req.on('close', () => {
+        closed = true;
+    });
+
+    const startedAt = Date.now();
+    let lastProgress = '';
+    let lastPartial = '';
+
+    while (!closed) {
+        if (Date.now() - startedAt > MAX_STREAM_DURATION) {
+            sendEvent(res, 'timeout', {});
+            break;
+        }
+
+        try {
+            const { status, data } = await fetchUpstream(`/api/results/${encodeURIComponent(jobId)}`, {
+                timeout: UPSTREAM_TIMEOUT,
+                requestId
+            });
+
+            if (status >= 400) {
+                // Ending the stream makes the client fall back to polling
+                log('error', 'Stream backend error', { request_id: requestId, route: 'stream', status });
+                break;
+            }
+
+            if (data.status === 'complete') {
+                sendEvent(res, 'complete', data);
+                break;
+            }
+
+            if (data.status === 'failed') {
+                sendEvent(res, 'failed', data);
+                break;
+            }
+
+            // Relay per-item results as soon as the backend has them
+            const partial = JSON.stringify(Object.keys(data.results || {}));
+            if (data.results && partial !== lastPartial) {
+                sendEvent(res, 'partial', data);
+                lastPartial = partial;
+            }
+
+            const progress = JSON.stringify(getProgress(data));
+            if (progress !== lastProgress) {
+                res.write(`event: progress\ndata: ${progress}\n\n`);
+                lastProgress = progress;
+            } else {
+                // Comment line keeps intermediaries from closing an idle stream
+                res.write(': keep-alive\n\n');
+            }
+
+        } catch (error) {
+            log('error', 'Stream proxy error', {
+                request_id: requestId,
+                route: 'stream',
+                code: error.code || 'PROXY_ERROR',
+                error: error.message
+            });
+            break;
+        }
+
+        await new Promise(resolve => setTimeout(resolve, UPSTREAM_POLL_INTERVAL));
+    }
+
+    log('info', 'Stream closed', {
+        request_id: requestId,
+        route: 'stream',
+        duration_ms: Date.now() - startedAt,
+        client_closed: closed
+    });
+    res.end();
+}
@@ -14,9 +14,40 @@ const CONFIG = {
         ? 'http://146.190.129.92:8000'  // Local testing: direct API
         : '',  // Vercel: use proxy (relative URLs)
     DEBOUNCE_DELAY: 1200,  // ms to wait after user stops typing (increased to prevent partial word searches)
-    POLL_INTERVAL: 2000,  // ms between result polls
+    POLL_INTERVAL: 2000,  // ms between result polls (before backoff)
+    POLL_BACKOFF: 1.5,  // poll delay multiplier while a job shows no progress
+    POLL_MAX_INTERVAL: 10000,  // ms cap on the poll delay
+    POLL_JITTER: 0.3,  // +/- fraction of random spread on each poll delay
+    POLL_MAX_ERRORS: 3,  // consecutive failed polls before giving up
+    JOB_MAX_WAIT: 10 * 60 * 1000,  // ms a follow-up or comparison search waits for its job before giving up
+    USE_STREAMING: true,  // stream progress via /api/stream, falling back to polling
     MAX_ITEMS: 10,
-    MIN_ZIP_LENGTH: 5
+    MIN_ZIP_LENGTH: 5,
+    STORAGE_KEY: 'lowcost-groceries-state',
+    STORAGE_VERSION: 2,
+    TAB_ID_KEY: 'lowcost-groceries-tab',  // sessionStorage: which tab owns a queued offline search
+    SAVED_LISTS_KEY: 'lowcost-groceries-lists',
+    HISTORY_KEY: 'lowcost-groceries-history',
+    MAX_HISTORY: 20,
+    MAX_TRIP_STORES: 3,  // Largest store count the trip optimizer plans for
+    SUGGESTION_CACHE_KEY: 'lowcost-groceries-suggestions',
+    SUGGESTION_CACHE_TTL: 24 * 60 * 60 * 1000,  // ms a cached AI suggestion stays fresh
+    SUGGESTION_CACHE_MAX: 100,  // cached suggestions kept (least recently used dropped first)
+    MAX_CLARIFY_IN_FLIGHT: 3,  // simultaneous AI suggestion requests (the rest wait in line)
+    CLARIFY_MAX_RETRIES: 2,  // automatic retries after a network or server error
+    CLARIFY_RETRY_DELAY: 1000,  // ms before the first retry, doubled for each one after
+    STORE_PREFS_KEY: 'lowcost-groceries-store-prefs',
+    MAX_STORE_PREFS: 20,  // favourite or excluded stores per list
+    MIN_DISTANCE_LIMIT: 1,  // smallest "maximum distance" in miles (the API rejects less)
+    MAX_DISTANCE_LIMIT: 100,  // largest "maximum distance" in miles
+    MAP_TILE_URL: 'https://tile.openstreetmap.org/{z}/{x}/{y}.png',  // drawn under the map while online
+    ZIP_CENTROIDS_URL: '/zip-centroids.json',  // bundled ZIP centres, used when the API sends no coordinates
+    MAP_ATTRIBUTION_URL: 'https://www.openstreetmap.org/copyright',  // credited over the map as the tile licence requires
+    PRICE_HISTORY_KEY: 'lowcost-groceries-price-history',
+    PRICE_TARGETS_KEY: 'lowcost-groceries-price-targets',
+    MAX_PRICE_POINTS: 30,  // searches kept per item and ZIP
+    MAX_PRICE_SERIES: 200,  // item/ZIP pairs kept (least recently searched dropped first)
+    MAX_COMPARE_ZIPS: 3  // extra ZIPs searched alongside the main one
 };
 
 // ============================================================================
@@ -27,11 +58,134 @@ const state = {
     cart: [],
     currentStep: 1,
     jobId: null,
-    pollInterval: null,
+    pollTimer: null,
+    eventSource: null,
     zipCode: null,
-    pendingSuggestions: []  // Items waiting for AI suggestions
+    prioritizeNearby: true,  // Step 2 "prioritize stores nearby" toggle
+    compareZips: [],  // Extra ZIPs to search alongside zipCode (e.g. home and office)
+    comparisons: [],  // Searches for compareZips: { zipCode, jobId, status, data }
+    pendingSuggestions: [],  // Items waiting for AI suggestions
+    queuedSearch: null,  // Search submitted while offline: { prioritizeNearby, tabId }
+    results: {},  // Latest results map (item name -> products)
+    followUpResults: {},  // Results from follow-up searches, merged over the job's results
+    cartErrors: {},  // Validation messages from the API, keyed by item name
+    tripPlanIndex: 0,  // Selected plan in the trip optimizer
+    checklist: { open: false, checked: [] },  // In-store checklist: showing, and item names in the basket
+    resultsView: {  // Step 4 toolbar: store filter, hidden stores, sort and expansion
+        merchant: '',
+        hiddenMerchants: [],
+        sort: 'price',
+        expanded: false,
+        showMap: false
+    }
+};
+
+// ============================================================================
+// PERSISTENCE
+// ============================================================================
+
+/**
+ * Upgrade functions keyed by the version they upgrade FROM.
+ * Each one receives a saved snapshot and returns it at version + 1.
+ */
+const STATE_MIGRATIONS = {
+    // v2: cart items gained quantity and unit
+    1: snapshot => ({
+        ...snapshot,
+        version: 2,
+        cart: (snapshot.cart || []).map(item => ({ name: item.name, quantity: 1, unit: '' }))
+    })
 };
 
+/**
+ * Save the persistent parts of state to localStorage
+ */
+function saveState() {
+    const snapshot = {
+        version: CONFIG.STORAGE_VERSION,
+        cart: state.cart,
+        currentStep: state.currentStep,
+        jobId: state.jobId,
+        zipCode: state.zipCode,
+        prioritizeNearby: state.prioritizeNearby,
+        compareZips: state.compareZips,
+        comparisons: state.comparisons,
+        pendingSuggestions: state.pendingSuggestions,
+        queuedSearch: state.queuedSearch,
+        checklist: state.checklist,
+        followUpResults: state.followUpResults
+    };
+
+    try {
+        localStorage.setItem(CONFIG.STORAGE_KEY, JSON.stringify(snapshot));
+    } catch (error) {
+        // Private browsing or quota exceeded - app still works in memory
+        console.warn('Could not save state:', error);
+    }
+}
+
+/**
+ * Parse a saved snapshot, migrating older versions forward.
+ * Returns null if the snapshot is missing, corrupt or from a newer version.
+ */
+function parseSavedState(raw) {
+    if (!raw) {
+        return null;
+    }
+
+    let snapshot;
+    try {
+        snapshot = JSON.parse(raw);
+    } catch (error) {
+        console.warn('Discarding corrupt saved state:', error);
+        return null;
+    }
+
+    if (!snapshot || typeof snapshot.version !== 'number') {
+        return null;
+    }
+
+    while (snapshot.version < CONFIG.STORAGE_VERSION) {
+        const migrate = STATE_MIGRATIONS[snapshot.version];
+        if (!migrate) {
+            return null;
+        }
+        snapshot = migrate(snapshot);
+    }
+
+    return snapshot.version === CONFIG.STORAGE_VERSION ? snapshot : null;
+}
+
+/**
+ * Load the saved snapshot from localStorage
+ */
+function loadState() {
+    try {
+        return parseSavedState(localStorage.getItem(CONFIG.STORAGE_KEY));
+    } catch (error) {
+        console.warn('Could not load state:', error);
+        return null;
+    }
+}
+
+/**
+ * Copy a saved snapshot into the in-memory state
+ */
+function applySnapshot(snapshot) {
+    state.cart = Array.isArray(snapshot.cart) ? snapshot.cart : [];
+    state.zipCode = snapshot.zipCode || null;
+    state.prioritizeNearby = snapshot.prioritizeNearby !== false;
+    state.compareZips = Array.isArray(snapshot.compareZips) ? snapshot.compareZips : [];
+    state.comparisons = Array.isArray(snapshot.comparisons) ? snapshot.comparisons : [];
+    state.jobId = snapshot.jobId || null;
+    state.pendingSuggestions = Array.isArray(snapshot.pendingSuggestions) ? snapshot.pendingSuggestions : [];
+    state.queuedSearch = snapshot.queuedSearch || null;
+    state.checklist = snapshot.checklist && Array.isArray(snapshot.checklist.checked)
+        ? { open: Boolean(snapshot.checklist.open), checked: snapshot.checklist.checked }
+        : { open: false, checked: [] };
+    state.followUpResults = snapshot.followUpResults || {};
+}
+
 // ============================================================================
 // UTILITY FUNCTIONS
 // ============================================================================
@@ -47,6 +201,38 @@ function debounce(func, delay) {
     };
 }
 
+/**
+ * Wait `ms`, rejecting with an AbortError as soon as `signal` aborts
+ */
+function delay(ms, signal) {
+    return new Promise((resolve, reject) => {
+        const abort = () => {
+            clearTimeout(timer);
+            reject(new DOMException('Aborted', 'AbortError'));
+        };
+        const timer = setTimeout(() => {
+            signal.removeEventListener('abort', abort);
+            resolve();
+        }, ms);
+        
+        if (signal.aborted) {
+            abort();
+        } else {
+            signal.addEventListener('abort', abort, { once: true });
+        }
+    });
+}
+
+let lastPendingId = 0;
+
+/**
+ * Unique ID for a pending suggestion (timestamps collide in bulk imports)
+ */
+function nextPendingId() {
+    lastPendingId = Math.max(Date.now(), lastPendingId + 1);
+    return lastPendingId;
+}
+
 /**
  * Show toast notification
  */
@@ -62,703 +248,5419 @@ function showToast(message, duration = 3000) {
     }, duration);
 }
 
+/**
+ * Read a message out to screen readers without showing it
+ */
+function announce(message) {
+    document.getElementById('announcer').textContent = message;
+}
+
+/**
+ * Error for a failed API call, carrying the proxy's error envelope
+ * ({ error, code, request_id, details })
+ */
+class ApiError extends Error {
+    constructor(status, body, retryAfter = null) {
+        super(body.error || `Request failed (${status})`);
+        this.name = 'ApiError';
+        this.status = status;
+        this.code = body.code || null;
+        this.details = body.details || null;
+        this.requestId = body.request_id || null;
+        this.retryAfter = retryAfter;  // seconds, for 429 responses
+    }
+}
+
+/**
+ * Build an ApiError from a non-OK response (the body may not be JSON)
+ */
+async function toApiError(response) {
+    let body = {};
+    try {
+        body = (await response.json()) || {};
+    } catch (error) {
+        // Non-JSON error page - fall back to the status code
+    }
+    const retryAfter = parseInt(response.headers.get('Retry-After'), 10)
+        || (body.details && body.details.retry_after)
+        || null;
+    return new ApiError(response.status, body, retryAfter);
+}
+
+/**
+ * Field-level validation errors from an ApiError ([] if there are none)
+ */
+function getFieldErrors(error) {
+    return error instanceof ApiError && error.code === 'VALIDATION_ERROR' && error.details
+        ? error.details.fields || []
+        : [];
+}
+
 /**
  * Navigate between steps
  */
-function goToStep(stepNumber) {
+function goToStep(stepNumber, options = {}) {
+    // Give the step its own URL unless we got here through back/forward
+    if (!options.fromHistory) {
+        updateRoute(stepNumber, options.replace);
+    }
+    
     // Hide all steps
     document.querySelectorAll('.section').forEach(section => {
         section.classList.remove('active');
     });
     
     // Show target step
-    document.getElementById(`step${stepNumber}`).classList.add('active');
+    const section = document.getElementById(`step${stepNumber}`);
+    section.classList.add('active');
     state.currentStep = stepNumber;
+    saveState();
+    
+    // Move focus to the new step's heading so screen readers announce it
+    // (not on page load, where the user hasn't done anything yet)
+    if (routeReady) {
+        section.querySelector('h1, h2').focus({ preventScroll: true });
+    }
+    
+    // Only keep the screen on while the checklist is on screen
+    if (stepNumber === 4 && state.checklist.open) {
+        requestWakeLock();
+    } else {
+        releaseWakeLock();
+    }
     
     // Scroll to top
     window.scrollTo({ top: 0, behavior: 'smooth' });
 }
 
 // ============================================================================
-// STEP 1: CART BUILDING
+// SAFE RENDERING
 // ============================================================================
 
-const itemInput = document.getElementById('itemInput');
-const addManualBtn = document.getElementById('addManualBtn');
-const suggestionsDiv = document.getElementById('suggestions');
-const suggestionsContent = document.getElementById('suggestionsContent');
-const cartItems = document.getElementById('cartItems');
-const cartCount = document.getElementById('cartCount');
-const continueBtn = document.getElementById('continueBtn');
-const clearCartBtn = document.getElementById('clearCartBtn');
+// Item names, AI suggestions, product titles, merchants and locations all
+// come from users or the backend. Markup is built with html`...`, which
+// escapes every interpolated value unless it is itself html`...` output,
+// and written with renderHtml(). Handlers are attached with delegated
+// listeners (data-action attributes), never inline, so the CSP can block
+// inline script.
+
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
 
 /**
- * Fetch AI suggestions for item
+ * Markup that is safe to insert as-is (only created by html``)
  */
-async function fetchSuggestions(item) {
-    try {
-        const response = await fetch(`${CONFIG.API_BASE_URL}/api/clarify`, {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({
-                item: item,
-                context: state.cart.map(cartItem => cartItem.name)
-            })
-        });
-        
-        if (!response.ok) {
-            throw new Error('API request failed');
-        }
-        
-        const data = await response.json();
-        return data;
-    } catch (error) {
-        console.error('Error fetching suggestions:', error);
-        showToast('Failed to get AI suggestions. Try again!');
-        return null;
+class SafeHtml {
+    constructor(markup) {
+        this.markup = markup;
+    }
+    
+    toString() {
+        return this.markup;
     }
 }
 
 /**
- * Display AI suggestions
+ * Escape text for HTML content and quoted attribute values
  */
-function displaySuggestions(data, originalText) {
-    if (!data || !data.suggested) {
-        suggestionsDiv.classList.add('hidden');
-        return;
+function escapeHtml(value) {
+    return String(value).replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
+}
+
+/**
+ * Markup for one interpolated value: SafeHtml as-is, arrays joined,
+ * null/undefined/false as nothing, anything else escaped
+ */
+function toMarkup(value) {
+    if (value instanceof SafeHtml) {
+        return value.markup;
     }
-    
-    suggestionsContent.innerHTML = '';
-    
-    // Add "Use as-is" option FIRST (no AI modification)
-    const asIsCard = createSuggestionCard(
-        originalText,
-        false,
-        null,
-        true  // is "as-is" option
-    );
-    suggestionsContent.appendChild(asIsCard);
-    
-    // Add main suggestion
-    const suggested = data.suggested;
-    const mainCard = createSuggestionCard(
-        suggested.name,
-        true  // is best match
-    );
-    suggestionsContent.appendChild(mainCard);
-    
-    // Add alternatives
-    if (data.alternatives && data.alternatives.length > 0) {
-        data.alternatives.slice(0, 3).forEach(alt => {
-            const altCard = createSuggestionCard(
-                alt.name,
-                false
-            );
-            suggestionsContent.appendChild(altCard);
-        });
+    if (Array.isArray(value)) {
+        return value.map(toMarkup).join('');
     }
-    
-    suggestionsDiv.classList.remove('hidden');
+    if (value === null || value === undefined || value === false) {
+        return '';
+    }
+    return escapeHtml(value);
 }
 
 /**
- * Create suggestion card element
+ * Template tag that escapes interpolated values by default
  */
-function createSuggestionCard(name, isBest, pendingId = null, isAsIs = false) {
-    const card = document.createElement('div');
-    card.className = 'suggestion-card';
-    
-    let badge = '';
-    if (isAsIs) {
-        badge = '<span class="suggestion-badge" style="background: #666;">Use As-Is</span>';
-    } else if (isBest) {
-        badge = '<span class="suggestion-badge">AI Recommended</span>';
-    }
-    
-    card.innerHTML = `
-        <span class="suggestion-name">${name}</span>
-        ${badge}
-    `;
-    
-    card.addEventListener('click', () => {
-        addToCart(name);
-        // Remove this pending item from queue after selection
-        if (pendingId !== null) {
-            removePendingItem(pendingId);
-        }
-    });
-    
-    return card;
+function html(strings, ...values) {
+    return new SafeHtml(strings.reduce((markup, string, index) => markup + toMarkup(values[index - 1]) + string));
 }
 
 /**
- * Remove a pending suggestion item after user selection
+ * Replace an element's content. Anything that isn't html`` output is
+ * treated as text.
  */
-function removePendingItem(pendingId) {
-    const index = state.pendingSuggestions.findIndex(p => p.id === pendingId);
-    if (index !== -1) {
-        state.pendingSuggestions.splice(index, 1);
-        renderPendingSuggestions();
-    }
+function renderHtml(element, content) {
+    element.innerHTML = toMarkup(content);
 }
 
+// ============================================================================
+// QUANTITIES, UNITS & PRICING
+// ============================================================================
+
 /**
- * Add item to cart
+ * Known units, converted to a base unit per dimension:
+ * volume -> fl oz, weight -> oz, count -> each
  */
-function addToCart(name) {
-    // Check if already in cart
-    if (state.cart.some(item => item.name === name)) {
-        showToast('Item already in cart!');
-        return;
-    }
-    
-    // Check max items
-    if (state.cart.length >= CONFIG.MAX_ITEMS) {
-        showToast(`Maximum ${CONFIG.MAX_ITEMS} items allowed`);
-        return;
-    }
-    
-    // Add to cart
-    state.cart.push({ name });
-    
-    // Update UI
-    renderCart();
-    showToast('Added to cart!', 1500);
-    
-    // Keep input focused for next item
-    itemInput.focus();
-    
-    // Focus back on input for next item
-    itemInput.focus();
+const UNITS = {
+    'each': { dimension: 'count', factor: 1, label: 'each' },
+    'ct': { dimension: 'count', factor: 1, label: 'each' },
+    'count': { dimension: 'count', factor: 1, label: 'each' },
+    'pk': { dimension: 'count', factor: 1, label: 'each' },
+    'pack': { dimension: 'count', factor: 1, label: 'each' },
+    'dozen': { dimension: 'count', factor: 12, label: 'each' },
+    'oz': { dimension: 'weight', factor: 1, label: 'oz' },
+    'lb': { dimension: 'weight', factor: 16, label: 'oz' },
+    'lbs': { dimension: 'weight', factor: 16, label: 'oz' },
+    'pound': { dimension: 'weight', factor: 16, label: 'oz' },
+    'g': { dimension: 'weight', factor: 0.035274, label: 'oz' },
+    'kg': { dimension: 'weight', factor: 35.274, label: 'oz' },
+    'fl oz': { dimension: 'volume', factor: 1, label: 'fl oz' },
+    'gallon': { dimension: 'volume', factor: 128, label: 'fl oz' },
+    'gal': { dimension: 'volume', factor: 128, label: 'fl oz' },
+    'quart': { dimension: 'volume', factor: 32, label: 'fl oz' },
+    'qt': { dimension: 'volume', factor: 32, label: 'fl oz' },
+    'pint': { dimension: 'volume', factor: 16, label: 'fl oz' },
+    'pt': { dimension: 'volume', factor: 16, label: 'fl oz' },
+    'l': { dimension: 'volume', factor: 33.814, label: 'fl oz' },
+    'liter': { dimension: 'volume', factor: 33.814, label: 'fl oz' },
+    'ml': { dimension: 'volume', factor: 0.033814, label: 'fl oz' }
+};
+
+// Units offered in the cart's unit picker ('' means "package")
+const CART_UNITS = ['', 'each', 'dozen', 'lb', 'oz', 'fl oz', 'gallon', 'quart', 'kg', 'l'];
+
+// Matches sizes like "64 oz", "1.5 lb", "128 fl. oz", "12 ct", "1 gallon"
+const SIZE_PATTERN = /(\d+(?:\.\d+)?)\s*-?\s*(fl\.?\s*oz|gallons?|gal|quarts?|qt|pints?|pt|liters?|litres?|ml|l|lbs?|pounds?|oz|kg|g|dozen|ct|count|pk|pack)\b/i;
+
+/**
+ * Build a cart entry
+ */
+function createCartItem(name, quantity = 1, unit = '') {
+    return { name, quantity, unit };
 }
 
 /**
- * Remove item from cart
+ * Fill in quantity/unit for cart entries saved before they existed
  */
-function removeFromCart(index) {
-    state.cart.splice(index, 1);
-    renderCart();
-    showToast('Removed from cart', 1500);
+function normalizeCartItem(item) {
+    const quantity = Number(item.quantity);
+    return createCartItem(
+        item.name,
+        quantity > 0 ? quantity : 1,
+        UNITS[item.unit] ? item.unit : ''
+    );
 }
 
 /**
- * Render cart UI
+ * Look up a unit, accepting plurals and "fl. oz" spellings
  */
-function renderCart() {
-    // Update count
-    cartCount.textContent = `${state.cart.length}/${CONFIG.MAX_ITEMS}`;
-    
-    // Show/hide clear button
-    clearCartBtn.style.display = state.cart.length > 0 ? 'block' : 'none';
-    
-    // Enable/disable continue button
-    continueBtn.disabled = state.cart.length === 0;
-    
-    // Render items
-    if (state.cart.length === 0) {
-        cartItems.innerHTML = `
-            <div class="empty-cart">
-                <svg width="64" height="64" viewBox="0 0 64 64" fill="none">
-                    <path d="M8 8H16L20 40H52L56 20H20" stroke="#E0E0E0" stroke-width="3" stroke-linecap="round" stroke-linejoin="round"/>
-                    <circle cx="24" cy="52" r="4" fill="#E0E0E0"/>
-                    <circle cx="48" cy="52" r="4" fill="#E0E0E0"/>
-                </svg>
-                <p class="empty-text">Your list is empty</p>
-                <p class="empty-subtext">Start typing above to add items</p>
-            </div>
-        `;
-    } else {
-        cartItems.innerHTML = state.cart.map((item, index) => `
-            <div class="cart-item">
-                <span class="cart-item-name">${item.name}</span>
-                <button class="cart-item-remove" onclick="removeFromCart(${index})">
-                    <svg width="20" height="20" viewBox="0 0 20 20" fill="none">
-                        <path d="M15 5L5 15M5 5L15 15" stroke="currentColor" stroke-width="2" stroke-linecap="round"/>
-                    </svg>
-                </button>
-            </div>
-        `).join('');
-    }
+function lookupUnit(unit) {
+    const key = unit.toLowerCase()
+        .replace(/\./g, '')
+        .replace(/^fl\s*oz$/, 'fl oz')
+        .replace(/^litre/, 'liter')
+        .trim();
+    return UNITS[key] || UNITS[key.replace(/s$/, '')] || null;
 }
 
 /**
- * Submit item for AI processing (happens immediately, no debounce)
+ * Parse a package size out of a product title.
+ * Returns { amount, dimension, label, isPlainOz } in base units, or null.
  */
-async function submitItemForAI(originalText) {
-    if (originalText.length < 2) {
-        return;
+function parseProductSize(text) {
+    const match = SIZE_PATTERN.exec(text || '');
+    if (!match) {
+        return null;
     }
-    
-    // Create pending item
-    const pendingId = Date.now();
-    const pendingItem = {
-        id: pendingId,
-        originalText: originalText,
-        status: 'loading',
-        suggestions: null
+
+    const unit = lookupUnit(match[2]);
+    if (!unit) {
+        return null;
+    }
+
+    return {
+        amount: parseFloat(match[1]) * unit.factor,
+        dimension: unit.dimension,
+        label: unit.label,
+        // Retail "oz" on liquids usually means fluid ounces
+        isPlainOz: match[2].toLowerCase() === 'oz'
     };
+}
+
+/**
+ * Whether two sizes can be compared (plain "oz" matches volumes too)
+ */
+function sizesComparable(a, b) {
+    return a.dimension === b.dimension
+        || (a.isPlainOz && b.dimension === 'volume')
+        || (b.isPlainOz && a.dimension === 'volume');
+}
+
+/**
+ * Price per base unit for a product, or null if its size is unknown
+ */
+function getUnitPrice(product) {
+    const size = parseProductSize(product.name || product.title);
+    if (!size || size.amount <= 0) {
+        return null;
+    }
+    return { value: product.price / size.amount, label: size.label, size };
+}
+
+/**
+ * Whole packages of this product a cart line buys: { count, sizeKnown }.
+ * With a unit on the cart line, enough packages to cover the amount - or
+ * just one when the package size is missing or in another dimension
+ * ("12 each" of an unsized egg carton). Without a unit, quantity counts
+ * packages.
+ */
+function getPackageCount(product, cartItem) {
+    const quantity = cartItem.quantity || 1;
+    const cartUnit = cartItem.unit ? UNITS[cartItem.unit] : null;
+    if (!cartUnit) {
+        return { count: quantity, sizeKnown: true };
+    }
+
+    const size = parseProductSize(product.name || product.title);
+    const wanted = { dimension: cartUnit.dimension, isPlainOz: cartItem.unit === 'oz' };
+    if (!size || size.amount <= 0 || !sizesComparable(wanted, size)) {
+        return { count: 1, sizeKnown: false };
+    }
+
+    // The epsilon keeps unit conversion noise from adding a package
+    const count = Math.ceil(quantity * cartUnit.factor / size.amount - 1e-9);
+    return { count: Math.max(count, 1), sizeKnown: true };
+}
+
+/**
+ * Cost of buying a cart line's quantity of this product
+ */
+function getLineCost(product, cartItem) {
+    return getPackageCount(product, cartItem).count * product.price;
+}
+
+/**
+ * Human-readable quantity, e.g. "2 × gallon" or "3"
+ */
+function formatQuantity(cartItem) {
+    return cartItem.unit ? `${cartItem.quantity} × ${cartItem.unit}` : `${cartItem.quantity}`;
+}
+
+/**
+ * Format a unit price, using more precision for tiny per-ounce values
+ */
+function formatUnitPrice(unitPrice) {
+    const digits = unitPrice.value < 0.1 ? 3 : 2;
+    return `$${unitPrice.value.toFixed(digits)}/${unitPrice.label}`;
+}
+
+/**
+ * Round to whole cents so float noise doesn't break price ties
+ */
+function toCents(amount) {
+    return Math.round(amount * 100);
+}
+
+/**
+ * Sort products by what it costs to fill the cart line (cheapest first)
+ */
+function sortByLineCost(products, cartItem) {
+    return [...products].sort((a, b) => getLineCost(a, cartItem) - getLineCost(b, cartItem));
+}
+
+/**
+ * Total cost of the basket buying every item at its best price
+ */
+function getBasketTotal(results) {
+    return state.cart.reduce((total, cartItem) => {
+        const products = results[cartItem.name] || [];
+        if (products.length === 0) {
+            return total;
+        }
+        return total + getLineCost(sortByLineCost(products, cartItem)[0], cartItem);
+    }, 0);
+}
+
+// ============================================================================
+// SUGGESTION CACHE
+// ============================================================================
+
+/**
+ * Normalize item text so "Milk", " milk " and "milk!" share a cache entry
+ * (keep in sync with normalizeItemText in api/_lib/cache.js)
+ */
+function normalizeItemText(text) {
+    return String(text)
+        .toLowerCase()
+        .replace(/[^\w\s%.-]/g, '')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+/**
+ * Cache key: normalized item plus the (order-independent) cart context
+ */
+function getSuggestionCacheKey(item, context) {
+    const normalizedContext = [...new Set(context.map(normalizeItemText))].sort();
+    return `${normalizeItemText(item)}|${normalizedContext.join(',')}`;
+}
+
+/**
+ * Read the whole suggestion cache ({ key: { data, savedAt, usedAt } })
+ */
+function readSuggestionCache() {
+    try {
+        const parsed = JSON.parse(localStorage.getItem(CONFIG.SUGGESTION_CACHE_KEY));
+        return parsed && typeof parsed === 'object' ? parsed : {};
+    } catch (error) {
+        return {};
+    }
+}
+
+/**
+ * Write the suggestion cache, dropping the least recently used entries over the cap
+ */
+function writeSuggestionCache(cache) {
+    const keys = Object.keys(cache);
+    if (keys.length > CONFIG.SUGGESTION_CACHE_MAX) {
+        keys.sort((a, b) => cache[a].usedAt - cache[b].usedAt)
+            .slice(0, keys.length - CONFIG.SUGGESTION_CACHE_MAX)
+            .forEach(key => delete cache[key]);
+    }
     
-    state.pendingSuggestions.push(pendingItem);
-    renderPendingSuggestions();
+    try {
+        localStorage.setItem(CONFIG.SUGGESTION_CACHE_KEY, JSON.stringify(cache));
+    } catch (error) {
+        console.warn('Could not save suggestion cache:', error);
+    }
+}
+
+/**
+ * Cached suggestions for a key, or null if missing or expired
+ */
+function getCachedSuggestions(key) {
+    const cache = readSuggestionCache();
+    const entry = cache[key];
     
-    // Clear input immediately so user can type next item
-    itemInput.value = '';
-    itemInput.focus();
+    if (!entry) {
+        return null;
+    }
     
-    // Fetch AI suggestions in background
-    try {
-        const suggestions = await fetchSuggestions(originalText);
-        
-        // Update pending item with results
-        const item = state.pendingSuggestions.find(p => p.id === pendingId);
-        if (item) {
-            item.status = 'complete';
-            item.suggestions = suggestions;
-            renderPendingSuggestions();
+    if (Date.now() - entry.savedAt > CONFIG.SUGGESTION_CACHE_TTL) {
+        delete cache[key];
+        writeSuggestionCache(cache);
+        return null;
+    }
+    
+    entry.usedAt = Date.now();
+    writeSuggestionCache(cache);
+    return entry.data;
+}
+
+/**
+ * Store suggestions for a key
+ */
+function cacheSuggestions(key, data) {
+    const cache = readSuggestionCache();
+    cache[key] = { data, savedAt: Date.now(), usedAt: Date.now() };
+    writeSuggestionCache(cache);
+}
+
+// ============================================================================
+// STEP 1: CART BUILDING
+// ============================================================================
+
+const itemInput = document.getElementById('itemInput');
+const addManualBtn = document.getElementById('addManualBtn');
+const suggestionsDiv = document.getElementById('suggestions');
+const suggestionsContent = document.getElementById('suggestionsContent');
+const addAllRecommendedBtn = document.getElementById('addAllRecommendedBtn');
+const cartItems = document.getElementById('cartItems');
+const cartCount = document.getElementById('cartCount');
+const continueBtn = document.getElementById('continueBtn');
+const clearCartBtn = document.getElementById('clearCartBtn');
+
+/**
+ * Fetch AI suggestions for item. Repeat lookups are served from the local
+ * cache unless bypassCache is set, which also skips the proxy's cache.
+ */
+async function fetchSuggestions(item, { bypassCache = false, signal } = {}) {
+    const context = state.cart.map(cartItem => cartItem.name);
+    const cacheKey = getSuggestionCacheKey(item, context);
+    
+    if (!bypassCache) {
+        const cached = getCachedSuggestions(cacheKey);
+        if (cached) {
+            return cached;
         }
-    } catch (error) {
-        // Update pending item with error
-        const item = state.pendingSuggestions.find(p => p.id === pendingId);
-        if (item) {
-            item.status = 'error';
-            renderPendingSuggestions();
+    }
+    
+    const headers = { 'Content-Type': 'application/json' };
+    if (bypassCache) {
+        headers['Cache-Control'] = 'no-cache';
+    }
+    
+    const response = await fetch(`${CONFIG.API_BASE_URL}/api/clarify`, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify({
+            item: item,
+            context: context
+        }),
+        signal
+    });
+    
+    if (!response.ok) {
+        const error = await toApiError(response);
+        if (error.status === 429) {
+            startRateLimitCountdown('clarify', error.retryAfter);
         }
+        throw error;
     }
+    
+    const data = await response.json();
+    cacheSuggestions(cacheKey, data);
+    return data;
 }
 
 /**
- * Render all pending suggestion cards
+ * Whether a failed suggestion request is worth retrying automatically
+ * (network errors and server errors, not bad input or rate limits)
  */
-function renderPendingSuggestions() {
-    if (state.pendingSuggestions.length === 0) {
+function isRetryableError(error) {
+    return !(error instanceof ApiError) || error.status >= 500;
+}
+
+/**
+ * Short message for a pending card whose suggestions failed
+ */
+function getSuggestionErrorMessage(error) {
+    const fieldErrors = getFieldErrors(error);
+    if (fieldErrors.length > 0) {
+        return fieldErrors[0].message;
+    }
+    if (error instanceof ApiError && error.status === 429) {
+        return 'Too many requests - retry once the countdown ends';
+    }
+    return 'The AI service could not be reached';
+}
+
+/**
+ * Display AI suggestions
+ */
+function displaySuggestions(data, originalText) {
+    if (!data || !data.suggested) {
         suggestionsDiv.classList.add('hidden');
         return;
     }
     
-    suggestionsDiv.classList.remove('hidden');
-    suggestionsContent.innerHTML = '';
+    renderHtml(suggestionsContent, '');
     
-    state.pendingSuggestions.forEach(pending => {
-        const pendingCard = document.createElement('div');
-        pendingCard.className = 'pending-item-card';
-        
-        if (pending.status === 'loading') {
-            pendingCard.innerHTML = `
-                <div class="loading-state">
-                    <div class="spinner"></div>
-                    <div class="pending-text">
-                        <strong>"${pending.originalText}"</strong>
-                        <div style="font-size: 12px; color: var(--gray-500); margin-top: 4px;">Getting AI suggestions...</div>
-                    </div>
-                </div>
-            `;
-        } else if (pending.status === 'complete' && pending.suggestions) {
-            const data = pending.suggestions;
-            
-            // Remove pending item header, show suggestions
-            pendingCard.innerHTML = `
-                <div class="suggestions-ready">
-                    <div style="font-size: 12px; color: var(--gray-600); margin-bottom: 8px; font-weight: 500;">
-                        ✨ Suggestions for "${pending.originalText}"
-                    </div>
-                </div>
-            `;
-            
-            // Add "Use as-is" option FIRST
-            const asIsCard = createSuggestionCard(
-                pending.originalText,
-                false,
-                pending.id,
-                true  // is "as-is" option
+    // Add "Use as-is" option FIRST (no AI modification)
+    const asIsCard = createSuggestionCard(
+        originalText,
+        false,
+        null,
+        true  // is "as-is" option
+    );
+    suggestionsContent.appendChild(asIsCard);
+    
+    // Add main suggestion
+    const suggested = data.suggested;
+    const mainCard = createSuggestionCard(
+        suggested.name,
+        true  // is best match
+    );
+    suggestionsContent.appendChild(mainCard);
+    
+    // Add alternatives
+    if (data.alternatives && data.alternatives.length > 0) {
+        data.alternatives.slice(0, 3).forEach(alt => {
+            const altCard = createSuggestionCard(
+                alt.name,
+                false
             );
-            pendingCard.appendChild(asIsCard);
-            
-            // Add main suggestion
-            if (data.suggested) {
-                const mainCard = createSuggestionCard(
-                    data.suggested.name,
-                    true,
-                    pending.id
-                );
-                pendingCard.appendChild(mainCard);
-            }
-            
-            // Add alternatives
-            if (data.alternatives && data.alternatives.length > 0) {
-                data.alternatives.slice(0, 3).forEach(alt => {
-                    const altCard = createSuggestionCard(
-                        alt.name,
-                        false,
-                        pending.id
-                    );
-                    pendingCard.appendChild(altCard);
-                });
-            }
-        } else if (pending.status === 'error') {
-            pendingCard.innerHTML = `
-                <div class="error-state">
-                    ❌ Failed to get suggestions for "${pending.originalText}"
-                    <button onclick="retryPending(${pending.id})" class="retry-btn">Retry</button>
-                </div>
-            `;
+            suggestionsContent.appendChild(altCard);
+        });
+    }
+    
+    suggestionsDiv.classList.remove('hidden');
+}
+
+/**
+ * Create suggestion card element
+ */
+function createSuggestionCard(name, isBest, pendingId = null, isAsIs = false) {
+    const card = document.createElement('div');
+    card.className = 'suggestion-card';
+    card.setAttribute('role', 'button');
+    card.tabIndex = -1;  // renderPendingSuggestions puts the first card in the tab order
+    
+    let badge = '';
+    if (isAsIs) {
+        badge = html`<span class="suggestion-badge as-is">Use As-Is</span>`;
+    } else if (isBest) {
+        badge = html`<span class="suggestion-badge">AI Recommended</span>`;
+    }
+    
+    renderHtml(card, html`
+        <span class="suggestion-name">${name}</span>
+        ${badge}
+    `);
+    
+    card.addEventListener('click', () => {
+        // Imported items carry the quantity parsed from the list
+        const pending = state.pendingSuggestions.find(p => p.id === pendingId);
+        addToCart(name, pending && pending.quantity, pending && pending.unit);
+        // Remove this pending item from queue after selection
+        if (pendingId !== null) {
+            removePendingItem(pendingId);
         }
-        
-        suggestionsContent.appendChild(pendingCard);
     });
+    
+    return card;
 }
 
-// Event listeners for Step 1
-itemInput.addEventListener('input', (e) => {
-    const value = e.target.value.trim();
-    // Just enable/disable the button, no AI calls yet
-    addManualBtn.disabled = value.length < 2;
-    addManualBtn.textContent = value.length >= 2 ? '→ Get AI Suggestions' : '+ Add Item';
-});
-
-itemInput.addEventListener('keypress', (e) => {
-    if (e.key === 'Enter') {
+/**
+ * Remove a pending suggestion item after user selection
+ */
+function removePendingItem(pendingId) {
+    const index = state.pendingSuggestions.findIndex(p => p.id === pendingId);
+    if (index !== -1) {
+        state.pendingSuggestions.splice(index, 1);
+        saveState();
+        renderPendingSuggestions();
+    }
+}
+
+/**
+ * Add item to cart
+ */
+function addToCart(name, quantity = 1, unit = '') {
+    // Check if already in cart
+    if (state.cart.some(item => item.name === name)) {
+        showToast('Item already in cart!');
+        return;
+    }
+    
+    // Check max items
+    if (state.cart.length >= CONFIG.MAX_ITEMS) {
+        showToast(`Maximum ${CONFIG.MAX_ITEMS} items allowed`);
+        return;
+    }
+    
+    // Add to cart
+    state.cart.push(createCartItem(name, quantity || 1, unit || ''));
+    saveState();
+    
+    // Update UI
+    renderCart();
+    showToast('Added to cart!', 1500);
+    
+    // Keep input focused for next item
+    itemInput.focus();
+    
+    // Focus back on input for next item
+    itemInput.focus();
+}
+
+/**
+ * Remove item from cart
+ */
+function removeFromCart(index) {
+    state.cart.splice(index, 1);
+    saveState();
+    renderCart();
+    showToast('Removed from cart', 1500);
+}
+
+/**
+ * Update the quantity or unit of a cart item
+ */
+function updateCartItem(index, field, value) {
+    const item = state.cart[index];
+    if (!item) {
+        return;
+    }
+    
+    if (field === 'quantity') {
+        const quantity = parseFloat(value);
+        item.quantity = quantity > 0 ? quantity : 1;
+    } else if (field === 'unit') {
+        item.unit = UNITS[value] ? value : '';
+    }
+    
+    saveState();
+    renderCart();
+}
+
+/**
+ * Render cart UI
+ */
+function renderCart() {
+    // Update count
+    cartCount.textContent = `${state.cart.length}/${CONFIG.MAX_ITEMS}`;
+    
+    // Show/hide clear button
+    clearCartBtn.style.display = state.cart.length > 0 ? 'block' : 'none';
+    
+    // Enable/disable continue button
+    continueBtn.disabled = state.cart.length === 0;
+    
+    // Render items
+    if (state.cart.length === 0) {
+        renderHtml(cartItems, html`
+            <div class="empty-cart">
+                <svg width="64" height="64" viewBox="0 0 64 64" fill="none">
+                    <path d="M8 8H16L20 40H52L56 20H20" stroke="#E0E0E0" stroke-width="3" stroke-linecap="round" stroke-linejoin="round"/>
+                    <circle cx="24" cy="52" r="4" fill="#E0E0E0"/>
+                    <circle cx="48" cy="52" r="4" fill="#E0E0E0"/>
+                </svg>
+                <p class="empty-text">Your list is empty</p>
+                <p class="empty-subtext">Start typing above to add items</p>
+            </div>
+        `);
+    } else {
+        renderHtml(cartItems, state.cart.map((item, index) => html`
+            <div class="cart-item ${state.cartErrors[item.name] ? 'invalid' : ''}" data-index="${index}">
+                <span class="cart-item-name">
+                    ${item.name}
+                    ${state.cartErrors[item.name] && html`<span class="field-error">${state.cartErrors[item.name]}</span>`}
+                </span>
+                <div class="cart-item-quantity">
+                    <input 
+                        type="number" 
+                        class="quantity-input" 
+                        min="0.5" 
+                        step="0.5" 
+                        value="${item.quantity}" 
+                        aria-label="Quantity"
+                        data-field="quantity"
+                    >
+                    <select class="unit-select" aria-label="Unit" data-field="unit">
+                        ${CART_UNITS.map(unit => html`
+                            <option value="${unit}" ${unit === item.unit ? 'selected' : ''}>${unit || 'pkg'}</option>
+                        `)}
+                    </select>
+                </div>
+                <button class="cart-item-remove" data-action="remove" aria-label="Remove ${item.name}" aria-keyshortcuts="Shift+Delete" title="Remove (Shift+Delete)">
+                    <svg width="20" height="20" viewBox="0 0 20 20" fill="none">
+                        <path d="M15 5L5 15M5 5L15 15" stroke="currentColor" stroke-width="2" stroke-linecap="round"/>
+                    </svg>
+                </button>
+            </div>
+        `));
+    }
+}
+
+/**
+ * Submit item for AI processing (happens immediately, no debounce)
+ */
+async function submitItemForAI(originalText) {
+    if (originalText.length < 2 || isRateLimited('clarify')) {
+        return;
+    }
+    
+    // Create pending item
+    const pendingId = nextPendingId();
+    const pendingItem = {
+        id: pendingId,
+        originalText: originalText,
+        status: 'loading',
+        suggestions: null
+    };
+    
+    state.pendingSuggestions.push(pendingItem);
+    saveState();
+    renderPendingSuggestions();
+    
+    // Clear input immediately so user can type next item
+    itemInput.value = '';
+    itemInput.focus();
+    
+    // Fetch AI suggestions in background
+    await resolvePendingItem(pendingId);
+}
+
+// In-flight suggestion requests by pending id, so a card can be dismissed mid-request
+const pendingControllers = new Map();
+
+// Pending items waiting for a free request slot: [{ pendingId, options }]
+const clarifyQueue = [];
+
+/**
+ * Update a pending item (if it still exists) and re-render the cards
+ */
+function updatePendingItem(pendingId, changes) {
+    const pending = state.pendingSuggestions.find(p => p.id === pendingId);
+    if (pending) {
+        const previousStatus = pending.status;
+        Object.assign(pending, changes);
+        saveState();
+        renderPendingSuggestions();
+        
+        if (pending.status !== previousStatus && pending.status === 'complete') {
+            announce(`Suggestions ready for "${pending.originalText}"`);
+        } else if (pending.status !== previousStatus && pending.status === 'error') {
+            announce(`Couldn't get suggestions for "${pending.originalText}"`);
+        }
+    }
+}
+
+/**
+ * Fetch suggestions for a pending item and store the outcome on it.
+ * Waits in line when CONFIG.MAX_CLARIFY_IN_FLIGHT requests are running,
+ * and retries network/server errors with exponential backoff.
+ */
+async function resolvePendingItem(pendingId, options = {}) {
+    const pending = state.pendingSuggestions.find(p => p.id === pendingId);
+    if (!pending || pendingControllers.has(pendingId)) {
+        // Gone (or already running) while it waited - pass the slot on
+        startNextQueued();
+        return;
+    }
+    
+    if (!navigator.onLine) {
+        queuePendingItem(pendingId);
+        return;
+    }
+    
+    if (pendingControllers.size >= CONFIG.MAX_CLARIFY_IN_FLIGHT) {
+        if (!clarifyQueue.some(entry => entry.pendingId === pendingId)) {
+            clarifyQueue.push({ pendingId, options });
+        }
+        updatePendingItem(pendingId, { status: 'queued' });
+        return;
+    }
+    
+    const controller = new AbortController();
+    pendingControllers.set(pendingId, controller);
+    updatePendingItem(pendingId, { status: 'loading', error: null, retries: 0 });
+    
+    try {
+        for (let attempt = 0; ; attempt++) {
+            try {
+                const suggestions = await fetchSuggestions(pending.originalText, { ...options, signal: controller.signal });
+                updatePendingItem(pendingId, { status: 'complete', suggestions });
+                return;
+            } catch (error) {
+                if (error.name === 'AbortError') {
+                    return;
+                }
+                
+                // The connection dropped mid-request - wait for it instead of retrying
+                if (!navigator.onLine) {
+                    queuePendingItem(pendingId);
+                    return;
+                }
+                
+                console.error('Error fetching suggestions:', error);
+                if (!isRetryableError(error) || attempt >= CONFIG.CLARIFY_MAX_RETRIES) {
+                    updatePendingItem(pendingId, { status: 'error', error: getSuggestionErrorMessage(error) });
+                    return;
+                }
+            }
+            
+            updatePendingItem(pendingId, { retries: attempt + 1 });
+            try {
+                await delay(CONFIG.CLARIFY_RETRY_DELAY * Math.pow(2, attempt), controller.signal);
+            } catch (error) {
+                return;  // Dismissed while waiting to retry
+            }
+        }
+    } finally {
+        pendingControllers.delete(pendingId);
+        startNextQueued();
+    }
+}
+
+/**
+ * Hand a free request slot to the next item in line
+ */
+function startNextQueued() {
+    if (pendingControllers.size >= CONFIG.MAX_CLARIFY_IN_FLIGHT) {
+        return;
+    }
+    const next = clarifyQueue.shift();
+    if (next) {
+        resolvePendingItem(next.pendingId, next.options);
+    }
+}
+
+/**
+ * Abort every suggestion request and empty the line (when starting over)
+ */
+function cancelAllPending() {
+    clarifyQueue.length = 0;
+    pendingControllers.forEach(controller => controller.abort());
+}
+
+/**
+ * Try a failed pending item again
+ */
+function retryPending(pendingId) {
+    if (isRateLimited('clarify')) {
+        showToast('Too many requests - please wait for the countdown');
+        return;
+    }
+    resolvePendingItem(pendingId);
+}
+
+/**
+ * Re-fetch suggestions for a pending item, skipping every cache
+ */
+function refreshPendingSuggestions(pendingId) {
+    if (isRateLimited('clarify')) {
+        return;
+    }
+    resolvePendingItem(pendingId, { bypassCache: true });
+}
+
+/**
+ * Drop a pending card, cancelling its request if one is running
+ */
+function dismissPending(pendingId) {
+    const queueIndex = clarifyQueue.findIndex(entry => entry.pendingId === pendingId);
+    if (queueIndex !== -1) {
+        clarifyQueue.splice(queueIndex, 1);
+    }
+    
+    const controller = pendingControllers.get(pendingId);
+    if (controller) {
+        controller.abort();
+    }
+    removePendingItem(pendingId);
+}
+
+/**
+ * Add the AI's recommended match for every answered pending item
+ */
+function addAllRecommended() {
+    const ready = state.pendingSuggestions.filter(pending =>
+        pending.status === 'complete' && pending.suggestions && pending.suggestions.suggested);
+    
+    const { added, skipped } = addItemsToCart(ready.map(pending =>
+        createCartItem(pending.suggestions.suggested.name, pending.quantity || 1, pending.unit || '')));
+    
+    // Items that didn't fit stay pending so they can still be picked
+    const addedIds = new Set(ready
+        .filter(pending => state.cart.some(item => item.name === pending.suggestions.suggested.name))
+        .map(pending => pending.id));
+    state.pendingSuggestions = state.pendingSuggestions.filter(pending => !addedIds.has(pending.id));
+    saveState();
+    renderPendingSuggestions();
+    
+    showToast(skipped > 0
+        ? `Added ${added} item${added !== 1 ? 's' : ''}, skipped ${skipped} (duplicate or over the limit)`
+        : `Added ${added} item${added !== 1 ? 's' : ''} to cart!`);
+}
+
+/**
+ * Status line for a pending item that is still waiting for suggestions
+ */
+function getPendingStatusText(pending) {
+    if (pending.status === 'queued') {
+        return 'Waiting in line...';
+    } else if (pending.status === 'offline') {
+        return "You're offline - suggestions will load when you reconnect";
+    } else if (pending.retries > 0) {
+        return `Retrying (${pending.retries}/${CONFIG.CLARIFY_MAX_RETRIES})...`;
+    }
+    return 'Getting AI suggestions...';
+}
+
+/**
+ * Render all pending suggestion cards
+ */
+function renderPendingSuggestions() {
+    if (state.pendingSuggestions.length === 0) {
+        suggestionsDiv.classList.add('hidden');
+        renderHtml(suggestionsContent, '');
+        return;
+    }
+    
+    suggestionsDiv.classList.remove('hidden');
+    
+    // Re-rendering replaces the cards, so remember which one had focus
+    const focused = suggestionsContent.contains(document.activeElement)
+        ? getSuggestionCardPosition(document.activeElement)
+        : null;
+    renderHtml(suggestionsContent, '');
+    
+    const recommendedCount = state.pendingSuggestions.filter(pending =>
+        pending.status === 'complete' && pending.suggestions && pending.suggestions.suggested).length;
+    addAllRecommendedBtn.classList.toggle('hidden', recommendedCount < 2);
+    addAllRecommendedBtn.textContent = `Add all ${recommendedCount} recommended`;
+    
+    state.pendingSuggestions.forEach(pending => {
+        const pendingCard = document.createElement('div');
+        pendingCard.className = 'pending-item-card';
+        pendingCard.dataset.pendingId = pending.id;
+        pendingCard.setAttribute('role', 'group');
+        pendingCard.setAttribute('aria-label', `Suggestions for "${pending.originalText}"`);
+        pendingCard.setAttribute('aria-busy', String(pending.status === 'loading' || pending.status === 'queued' || pending.status === 'offline'));
+        
+        if (pending.status === 'loading' || pending.status === 'queued' || pending.status === 'offline') {
+            renderHtml(pendingCard, html`
+                <div class="loading-state">
+                    <div class="spinner"></div>
+                    <div class="pending-text">
+                        <strong>"${pending.originalText}"</strong>
+                        <div class="pending-status">${getPendingStatusText(pending)}</div>
+                    </div>
+                    <button class="dismiss-btn" data-action="dismiss" title="Cancel">×</button>
+                </div>
+            `);
+        } else if (pending.status === 'complete') {
+            const data = pending.suggestions || {};
+            
+            // Remove pending item header, show suggestions
+            renderHtml(pendingCard, html`
+                <div class="suggestions-ready">
+                    <div class="suggestions-ready-title">
+                        ✨ Suggestions for "${pending.originalText}"
+                        <button class="dismiss-btn" data-action="dismiss" title="Dismiss">×</button>
+                        <button class="refresh-btn" data-action="refresh" title="Ask the AI again instead of using saved suggestions">↻ Refresh</button>
+                    </div>
+                </div>
+            `);
+            
+            // Add "Use as-is" option FIRST
+            const asIsCard = createSuggestionCard(
+                pending.originalText,
+                false,
+                pending.id,
+                true  // is "as-is" option
+            );
+            pendingCard.appendChild(asIsCard);
+            
+            // Add main suggestion
+            if (data.suggested) {
+                const mainCard = createSuggestionCard(
+                    data.suggested.name,
+                    true,
+                    pending.id
+                );
+                pendingCard.appendChild(mainCard);
+            }
+            
+            // Add alternatives
+            if (data.alternatives && data.alternatives.length > 0) {
+                data.alternatives.slice(0, 3).forEach(alt => {
+                    const altCard = createSuggestionCard(
+                        alt.name,
+                        false,
+                        pending.id
+                    );
+                    pendingCard.appendChild(altCard);
+                });
+            }
+            
+            // Tab reaches each item's first card, arrow keys the rest
+            asIsCard.tabIndex = 0;
+        } else if (pending.status === 'error') {
+            renderHtml(pendingCard, html`
+                <div class="error-state">
+                    <div class="pending-text">
+                        ❌ Failed to get suggestions for "${pending.originalText}"
+                        ${pending.error && html`<div class="pending-status">${pending.error}</div>`}
+                    </div>
+                    <button data-action="retry" class="retry-btn">Retry</button>
+                    <button class="dismiss-btn" data-action="dismiss" title="Dismiss">×</button>
+                </div>
+            `);
+        }
+        
+        suggestionsContent.appendChild(pendingCard);
+    });
+    
+    if (focused) {
+        restoreSuggestionFocus(focused);
+    }
+}
+
+/**
+ * Where a suggestion card or button sits: its pending item and index
+ */
+function getSuggestionCardPosition(element) {
+    const pendingCard = element.closest('.pending-item-card');
+    if (!pendingCard) {
+        return null;
+    }
+    const controls = [...pendingCard.querySelectorAll('.suggestion-card, button')];
+    return { pendingId: pendingCard.dataset.pendingId, index: controls.indexOf(element) };
+}
+
+/**
+ * Put focus back on the same control after a re-render, or on the nearest
+ * suggestion card if its item is gone
+ */
+function restoreSuggestionFocus({ pendingId, index }) {
+    const pendingCard = suggestionsContent.querySelector(`[data-pending-id="${pendingId}"]`);
+    const controls = pendingCard ? [...pendingCard.querySelectorAll('.suggestion-card, button')] : [];
+    const target = controls[index] || controls[0] || suggestionsContent.querySelector('.suggestion-card') || itemInput;
+    target.focus();
+}
+
+// Event listeners for Step 1
+itemInput.addEventListener('input', (e) => {
+    const value = e.target.value.trim();
+    // Just enable/disable the button, no AI calls yet
+    addManualBtn.disabled = value.length < 2 || isRateLimited('clarify');
+    addManualBtn.textContent = value.length >= 2 ? '→ Get AI Suggestions' : '+ Add Item';
+});
+
+itemInput.addEventListener('keypress', (e) => {
+    if (e.key === 'Enter') {
         e.preventDefault();
         const value = itemInput.value.trim();
         if (value.length >= 2) {
             submitItemForAI(value);
         }
     }
-});
+});
+
+addManualBtn.addEventListener('click', () => {
+    const value = itemInput.value.trim();
+    if (value.length >= 2) {
+        // Trigger AI suggestions (same as pressing Enter)
+        submitItemForAI(value);
+    }
+});
+
+continueBtn.addEventListener('click', () => {
+    goToStep(2);
+});
+
+clearCartBtn.addEventListener('click', () => {
+    if (confirm('Clear all items from cart?')) {
+        state.cart = [];
+        saveState();
+        renderCart();
+    }
+});
+
+cartItems.addEventListener('change', (e) => {
+    const row = e.target.closest('.cart-item');
+    if (row && e.target.dataset.field) {
+        updateCartItem(Number(row.dataset.index), e.target.dataset.field, e.target.value);
+    }
+});
+
+cartItems.addEventListener('click', (e) => {
+    const button = e.target.closest('[data-action="remove"]');
+    if (button) {
+        const index = Number(button.closest('.cart-item').dataset.index);
+        removeFromCart(index);
+        focusCartRow(index);
+    }
+});
+
+// Shift+Delete anywhere in a row removes it
+cartItems.addEventListener('keydown', (e) => {
+    const row = e.target.closest('.cart-item');
+    if (row && e.key === 'Delete' && e.shiftKey) {
+        e.preventDefault();
+        const index = Number(row.dataset.index);
+        removeFromCart(index);
+        focusCartRow(index);
+    }
+});
+
+/**
+ * After a removal, focus the row that took the removed one's place
+ * (or the item input once the list is empty)
+ */
+function focusCartRow(index) {
+    const rows = cartItems.querySelectorAll('.cart-item');
+    const row = rows[Math.min(index, rows.length - 1)];
+    (row ? row.querySelector('[data-action="remove"]') : itemInput).focus();
+}
+
+suggestionsContent.addEventListener('click', (e) => {
+    const button = e.target.closest('[data-action]');
+    if (!button) {
+        return;
+    }
+    
+    const pendingId = Number(button.closest('.pending-item-card').dataset.pendingId);
+    if (button.dataset.action === 'refresh') {
+        refreshPendingSuggestions(pendingId);
+    } else if (button.dataset.action === 'retry') {
+        retryPending(pendingId);
+    } else if (button.dataset.action === 'dismiss') {
+        dismissPending(pendingId);
+    }
+});
+
+/**
+ * Arrow keys move between suggestion cards, Enter/Space picks one and
+ * Delete dismisses its item
+ */
+suggestionsContent.addEventListener('keydown', (e) => {
+    const card = e.target.closest('.suggestion-card');
+    if (!card) {
+        return;
+    }
+    
+    const cards = [...suggestionsContent.querySelectorAll('.suggestion-card')];
+    const index = cards.indexOf(card);
+    let next = null;
+    
+    if (e.key === 'ArrowDown' || e.key === 'ArrowRight') {
+        next = cards[Math.min(index + 1, cards.length - 1)];
+    } else if (e.key === 'ArrowUp' || e.key === 'ArrowLeft') {
+        next = cards[Math.max(index - 1, 0)];
+    } else if (e.key === 'Home') {
+        next = cards[0];
+    } else if (e.key === 'End') {
+        next = cards[cards.length - 1];
+    } else if (e.key === 'Enter' || e.key === ' ') {
+        card.click();
+        // Keep going through the remaining items rather than jumping back to the input
+        next = suggestionsContent.querySelector('.suggestion-card');
+    } else if (e.key === 'Delete' || e.key === 'Backspace') {
+        dismissPending(Number(card.closest('.pending-item-card').dataset.pendingId));
+        next = suggestionsContent.querySelector('.suggestion-card') || itemInput;
+    } else {
+        return;
+    }
+    
+    e.preventDefault();
+    if (next) {
+        next.focus();
+    }
+});
+
+addAllRecommendedBtn.addEventListener('click', addAllRecommended);
+
+// ============================================================================
+// BULK IMPORT
+// ============================================================================
+
+const bulkImportToggle = document.getElementById('bulkImportToggle');
+const bulkImportPanel = document.getElementById('bulkImportPanel');
+const bulkImportText = document.getElementById('bulkImportText');
+const bulkImportFile = document.getElementById('bulkImportFile');
+const bulkImportBtn = document.getElementById('bulkImportBtn');
+const bulkImportReport = document.getElementById('bulkImportReport');
+
+// Format of the text in the import box: 'text' or 'csv' (set by uploads)
+let bulkImportFormat = 'text';
+
+const UNICODE_FRACTIONS = { '½': '1/2', '⅓': '1/3', '⅔': '2/3', '¼': '1/4', '¾': '3/4', '⅛': '1/8' };
+
+// Units we can carry into the cart, mapped to CART_UNITS (with a multiplier)
+const IMPORT_UNITS = {
+    'lb': ['lb', 1], 'lbs': ['lb', 1], 'pound': ['lb', 1], 'pounds': ['lb', 1],
+    'oz': ['oz', 1], 'ounce': ['oz', 1], 'ounces': ['oz', 1],
+    'fl oz': ['fl oz', 1],
+    'gallon': ['gallon', 1], 'gallons': ['gallon', 1], 'gal': ['gallon', 1],
+    'quart': ['quart', 1], 'quarts': ['quart', 1], 'qt': ['quart', 1],
+    'kg': ['kg', 1], 'kilogram': ['kg', 1], 'kilograms': ['kg', 1],
+    'g': ['kg', 0.001], 'gram': ['kg', 0.001], 'grams': ['kg', 0.001],
+    'l': ['l', 1], 'liter': ['l', 1], 'liters': ['l', 1], 'litre': ['l', 1], 'litres': ['l', 1],
+    'ml': ['l', 0.001],
+    'dozen': ['dozen', 1]
+};
+
+// Whole-package units: "2 cans tomatoes" means two packages
+const PACKAGE_UNITS = ['can', 'cans', 'jar', 'jars', 'bottle', 'bottles', 'bag', 'bags', 'box', 'boxes',
+    'package', 'packages', 'pkg', 'pack', 'packs', 'bunch', 'bunches', 'stick', 'sticks', 'head', 'heads', 'loaf', 'loaves'];
+
+// Cooking measures: you still buy one package however much the recipe uses
+const RECIPE_UNITS = ['cup', 'cups', 'c', 'tbsp', 'tablespoon', 'tablespoons', 'tsp', 'teaspoon', 'teaspoons',
+    'pinch', 'pinches', 'dash', 'dashes', 'clove', 'cloves', 'slice', 'slices', 'sprig', 'sprigs', 'handful'];
+
+// The number has to stand alone ("2% milk" and "7up" are names, not quantities)
+const QUANTITY_PATTERN = /^(\d+\s+\d+\/\d+|\d+\/\d+|\d+(?:\.\d+)?)(?:\s*-\s*\d+(?:\.\d+)?)?(?=\s|x\s|$)\s*(?:x\s+)?/i;
+const BULLET_PATTERN = /^\s*(?:[-*•·▢☐]|\[\s?[xX]?\s?\]|\d+[.)](?=\s))\s*/;
+
+/**
+ * Parse "1 1/2", "3/4" or "2.5" into a number
+ */
+function parseQuantity(text) {
+    return text.trim().split(/\s+/).reduce((total, part) => {
+        const [numerator, denominator] = part.split('/');
+        return total + (denominator ? Number(numerator) / Number(denominator) : Number(numerator));
+    }, 0);
+}
+
+/**
+ * Parse one free-text or recipe line into { name, quantity, unit }, or null
+ */
+function parseImportLine(line) {
+    let text = line.replace(/[½⅓⅔¼¾⅛]/g, match => ` ${UNICODE_FRACTIONS[match]}`)
+        .replace(BULLET_PATTERN, '')
+        .replace(/\([^)]*\)/g, '')  // "(14 oz)" or "(about 2 cups)"
+        .replace(/\s+/g, ' ')
+        .trim();
+    
+    let quantity = 1;
+    let unit = '';
+    
+    const quantityMatch = QUANTITY_PATTERN.exec(text);
+    if (quantityMatch) {
+        quantity = parseQuantity(quantityMatch[1]) || 1;
+        text = text.slice(quantityMatch[0].length);
+        
+        const unitMatch = /^(fl\.?\s*oz|[a-z]+)\.?\s+(?:of\s+)?/i.exec(text);
+        const unitWord = unitMatch ? unitMatch[1].toLowerCase().replace(/^fl\.?\s*/, 'fl ') : '';
+        
+        if (IMPORT_UNITS[unitWord]) {
+            const [cartUnit, multiplier] = IMPORT_UNITS[unitWord];
+            unit = cartUnit;
+            quantity = Math.round(quantity * multiplier * 100) / 100;
+            text = text.slice(unitMatch[0].length);
+        } else if (PACKAGE_UNITS.includes(unitWord)) {
+            text = text.slice(unitMatch[0].length);
+        } else if (RECIPE_UNITS.includes(unitWord)) {
+            quantity = 1;
+            text = text.slice(unitMatch[0].length);
+        } else {
+            // A bare count: "12 eggs" is twelve eggs, not twelve packages.
+            // getPackageCount prices 'each' per item only against products
+            // sized in counts ("12 ct"); anything else is one package.
+            unit = 'each';
+        }
+    }
+    
+    const name = text
+        .replace(/,.*$/, '')  // ", finely chopped"
+        .replace(/\b(to taste|as needed|optional)\b/gi, '')
+        .replace(/\s+/g, ' ')
+        .trim()
+        .slice(0, 50);
+    
+    if (name.length < 2) {
+        return null;
+    }
+    
+    return { name, quantity: quantity > 0 ? quantity : 1, unit };
+}
+
+/**
+ * Split one CSV line, honouring quoted fields
+ */
+function splitCsvLine(line) {
+    const fields = [];
+    let field = '';
+    let inQuotes = false;
+    
+    for (let i = 0; i < line.length; i++) {
+        const char = line[i];
+        if (char === '"' && inQuotes && line[i + 1] === '"') {
+            field += '"';
+            i++;
+        } else if (char === '"') {
+            inQuotes = !inQuotes;
+        } else if (char === ',' && !inQuotes) {
+            fields.push(field.trim());
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    
+    fields.push(field.trim());
+    return fields;
+}
+
+/**
+ * Parse CSV rows into items. Uses a header row (item/name, quantity/qty,
+ * unit) when present, otherwise columns are name, quantity, unit.
+ */
+function parseCsv(lines) {
+    const header = splitCsvLine(lines[0].text).map(h => h.toLowerCase());
+    const hasHeader = header.some(h => /^(item|name|product)s?$/.test(h));
+    const column = (names, fallback) => {
+        const index = header.findIndex(h => names.includes(h));
+        return hasHeader ? index : fallback;
+    };
+    const nameCol = column(['item', 'items', 'name', 'product'], 0);
+    const quantityCol = column(['quantity', 'qty', 'amount', 'count'], 1);
+    const unitCol = column(['unit', 'units', 'uom'], 2);
+    
+    const items = [];
+    const invalid = [];
+    
+    (hasHeader ? lines.slice(1) : lines).forEach(line => {
+        const fields = splitCsvLine(line.text);
+        const name = (fields[nameCol] || '').slice(0, 50);
+        const quantity = parseFloat(fields[quantityCol]);
+        const unit = (fields[unitCol] || '').toLowerCase();
+        
+        if (name.length < 2) {
+            invalid.push({ ...line, reason: 'invalid' });
+            return;
+        }
+        
+        items.push({
+            ...line,
+            name,
+            quantity: quantity > 0 ? quantity : 1,
+            unit: CART_UNITS.includes(unit) ? unit : ''
+        });
+    });
+    
+    return { items, invalid };
+}
+
+/**
+ * Parse pasted text or an uploaded file into items.
+ * Returns { items: [{ lineNumber, text, name, quantity, unit }], invalid: [...] }
+ */
+function parseImportText(text, format) {
+    const lines = text.split(/\r?\n/)
+        .map((line, index) => ({ lineNumber: index + 1, text: line.trim() }))
+        .filter(line => line.text.length > 0);
+    
+    if (lines.length === 0) {
+        return { items: [], invalid: [] };
+    }
+    
+    const looksLikeCsv = /^"?(item|name|product)s?"?\s*,/i.test(lines[0].text);
+    if (format === 'csv' || looksLikeCsv) {
+        return parseCsv(lines);
+    }
+    
+    const items = [];
+    const invalid = [];
+    
+    lines.forEach(line => {
+        // Section headings like "Ingredients:" or "For the sauce:"
+        if (/:$/.test(line.text)) {
+            return;
+        }
+        
+        const parsed = parseImportLine(line.text);
+        if (parsed) {
+            items.push({ ...line, ...parsed });
+        } else {
+            invalid.push({ ...line, reason: 'invalid' });
+        }
+    });
+    
+    return { items, invalid };
+}
+
+/**
+ * Queue parsed items as pending suggestions, skipping duplicates and
+ * anything past MAX_ITEMS, then fetch suggestions a few at a time
+ */
+function importItems(text, format) {
+    const { items, invalid } = parseImportText(text, format);
+    const skipped = [...invalid];
+    const queued = [];
+    
+    // Pending suggestions will become cart items, so they count too
+    const seen = new Set([
+        ...state.cart.map(item => normalizeItemText(item.name)),
+        ...state.pendingSuggestions.map(pending => normalizeItemText(pending.originalText))
+    ]);
+    let capacity = CONFIG.MAX_ITEMS - state.cart.length - state.pendingSuggestions.length;
+    
+    items.forEach(item => {
+        const key = normalizeItemText(item.name);
+        
+        if (seen.has(key)) {
+            skipped.push({ ...item, reason: 'duplicate' });
+            return;
+        }
+        
+        if (capacity <= 0) {
+            skipped.push({ ...item, reason: 'limit' });
+            return;
+        }
+        
+        seen.add(key);
+        capacity--;
+        
+        const pending = {
+            id: nextPendingId(),
+            originalText: item.name,
+            quantity: item.quantity,
+            unit: item.unit,
+            status: 'queued',
+            suggestions: null
+        };
+        state.pendingSuggestions.push(pending);
+        queued.push(pending);
+    });
+    
+    saveState();
+    renderPendingSuggestions();
+    renderImportReport(queued, skipped);
+    
+    // resolvePendingItem keeps the rest in line once the request limit is reached
+    queued.forEach(pending => resolvePendingItem(pending.id));
+    return { queued, skipped };
+}
+
+/**
+ * Show which lines were queued and which were skipped (and why)
+ */
+function renderImportReport(queued, skipped) {
+    const reasons = {
+        duplicate: 'already on your list',
+        limit: `over the ${CONFIG.MAX_ITEMS}-item limit`,
+        invalid: 'no item name found'
+    };
+    
+    skipped.sort((a, b) => a.lineNumber - b.lineNumber);
+    
+    renderHtml(bulkImportReport, html`
+        <p class="bulk-import-summary">
+            Queued ${queued.length} item${queued.length !== 1 ? 's' : ''} for AI suggestions${skipped.length > 0 ? `, skipped ${skipped.length}` : ''}.
+        </p>
+        ${skipped.length > 0 && html`
+            <ul class="bulk-import-skipped">
+                ${skipped.map(line => html`
+                    <li>Line ${line.lineNumber}: "${line.name || line.text}" - ${reasons[line.reason]}</li>
+                `)}
+            </ul>
+        `}
+    `);
+    bulkImportReport.classList.remove('hidden');
+}
+
+bulkImportToggle.addEventListener('click', () => {
+    bulkImportPanel.classList.toggle('hidden');
+    if (!bulkImportPanel.classList.contains('hidden')) {
+        bulkImportText.focus();
+    }
+});
+
+bulkImportText.addEventListener('input', () => {
+    // Hand-edited text is parsed as a plain list unless it has a CSV header
+    bulkImportFormat = 'text';
+});
+
+bulkImportFile.addEventListener('change', async () => {
+    const file = bulkImportFile.files[0];
+    if (!file) {
+        return;
+    }
+    
+    bulkImportText.value = await file.text();
+    bulkImportFormat = /\.csv$/i.test(file.name) || file.type === 'text/csv' ? 'csv' : 'text';
+    bulkImportFile.value = '';
+    showToast(`Loaded ${file.name} - review and import`, 2000);
+});
+
+bulkImportBtn.addEventListener('click', () => {
+    const text = bulkImportText.value.trim();
+    if (!text) {
+        showToast('Paste a list or upload a file first');
+        return;
+    }
+    
+    const { queued } = importItems(text, bulkImportFormat);
+    if (queued.length > 0) {
+        bulkImportText.value = '';
+        bulkImportFormat = 'text';
+    }
+});
+
+// ============================================================================
+// STEP 2: ZIP CODE
+// ============================================================================
+
+const zipInput = document.getElementById('zipInput');
+const backBtn = document.getElementById('backBtn');
+const findPricesBtn = document.getElementById('findPricesBtn');
+const zipError = document.getElementById('zipError');
+const prioritizeNearbyToggle = document.getElementById('prioritizeNearbyToggle');
+
+zipInput.addEventListener('input', (e) => {
+    const value = e.target.value.replace(/\D/g, '');  // Only digits
+    e.target.value = value;
+    findPricesBtn.disabled = value.length !== CONFIG.MIN_ZIP_LENGTH || isRateLimited('cart');
+    zipError.classList.add('hidden');
+    
+    // Saved as typed so a reload on step 2 keeps it
+    state.zipCode = value || null;
+    saveState();
+});
+
+prioritizeNearbyToggle.addEventListener('change', () => {
+    state.prioritizeNearby = prioritizeNearbyToggle.checked;
+    saveState();
+});
+
+zipInput.addEventListener('keypress', (e) => {
+    if (e.key === 'Enter' && !findPricesBtn.disabled) {
+        submitCart();
+    }
+});
+
+backBtn.addEventListener('click', () => {
+    goToStep(1);
+});
+
+findPricesBtn.addEventListener('click', () => {
+    submitCart();
+});
+
+/**
+ * Body for POST /api/cart
+ */
+function buildCartRequest(items, prioritizeNearby, zipCode = state.zipCode) {
+    return {
+        items: items.map(item => item.name),
+        item_details: items.map(item => ({
+            name: item.name,
+            quantity: item.quantity,
+            unit: item.unit || null
+        })),
+        zipcode: zipCode,
+        prioritize_nearby: prioritizeNearby,
+        store_preferences: getStorePreferencesPayload()
+    };
+}
+
+/**
+ * Submit cart to API (or queue it until we're back online)
+ */
+async function submitCart(prioritizeNearby = prioritizeNearbyToggle.checked) {
+    clearValidationErrors();
+    state.zipCode = zipInput.value;
+    cancelComparisons();
+    goToStep(3);
+    
+    if (!navigator.onLine) {
+        queueSearch(prioritizeNearby);
+        return;
+    }
+    
+    try {
+        const response = await fetch(`${CONFIG.API_BASE_URL}/api/cart`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(buildCartRequest(state.cart, prioritizeNearby))
+        });
+        
+        if (!response.ok) {
+            throw await toApiError(response);
+        }
+        
+        const data = await response.json();
+        
+        // Cancelled (or navigated away) before the job was created
+        if (state.currentStep !== 3) {
+            cancelJob(data.job_id);
+            return;
+        }
+        
+        state.jobId = data.job_id;
+        state.followUpResults = {};
+        state.checklist = { open: false, checked: [] };
+        saveState();
+        
+        document.getElementById('jobIdDisplay').textContent = data.job_id.substring(0, 8) + '...';
+        
+        // Start tracking progress
+        trackJob();
+        startComparisons(prioritizeNearby);
+        
+    } catch (error) {
+        console.error('Error submitting cart:', error);
+        
+        const fieldErrors = getFieldErrors(error);
+        if (fieldErrors.length > 0) {
+            showValidationErrors(fieldErrors);
+            return;
+        }
+        
+        if (error instanceof ApiError && error.status === 429) {
+            startRateLimitCountdown('cart', error.retryAfter);
+            goToStep(2);
+            return;
+        }
+        
+        // The connection dropped before the job was created
+        if (!navigator.onLine && state.currentStep === 3) {
+            queueSearch(prioritizeNearby);
+            return;
+        }
+        
+        showToast('Failed to submit cart. Please try again.');
+        goToStep(2);
+    }
+}
+
+/**
+ * Show field errors from /api/cart next to the ZIP input and cart items.
+ * Item errors send the user back to step 1 to fix them.
+ */
+function showValidationErrors(fieldErrors) {
+    const otherErrors = [];
+    
+    fieldErrors.forEach(({ field, message }) => {
+        // e.g. "items[2]" or "item_details[2].quantity"
+        const itemMatch = /^(?:items|item_details)\[(\d+)\]/.exec(field);
+        
+        if (field === 'zipcode') {
+            zipError.textContent = message;
+            zipError.classList.remove('hidden');
+        } else if (itemMatch && state.cart[itemMatch[1]]) {
+            state.cartErrors[state.cart[itemMatch[1]].name] = message;
+        } else {
+            otherErrors.push(`${field}: ${message}`);
+        }
+    });
+    
+    if (otherErrors.length > 0) {
+        showToast(otherErrors.join('; '));
+    }
+    
+    renderCart();
+    goToStep(Object.keys(state.cartErrors).length > 0 ? 1 : 2);
+}
+
+/**
+ * Clear inline validation errors
+ */
+function clearValidationErrors() {
+    state.cartErrors = {};
+    zipError.classList.add('hidden');
+    renderCart();
+}
+
+// ============================================================================
+// STORE PREFERENCES
+// ============================================================================
+
+const storePrefsToggle = document.getElementById('storePrefsToggle');
+const storePrefsSummary = document.getElementById('storePrefsSummary');
+const storePrefsPanel = document.getElementById('storePrefsPanel');
+const favoriteStoreInput = document.getElementById('favoriteStoreInput');
+const excludedStoreInput = document.getElementById('excludedStoreInput');
+const favoriteStoresDiv = document.getElementById('favoriteStores');
+const excludedStoresDiv = document.getElementById('excludedStores');
+const maxDistanceInput = document.getElementById('maxDistanceInput');
+const knownMerchantsList = document.getElementById('knownMerchants');
+
+/**
+ * A usable maximum distance in miles, or null for any distance
+ */
+function clampMaxDistance(miles) {
+    if (typeof miles !== 'number' || !(miles > 0)) {
+        return null;
+    }
+    return Math.min(Math.max(miles, CONFIG.MIN_DISTANCE_LIMIT), CONFIG.MAX_DISTANCE_LIMIT);
+}
+
+/**
+ * Load saved store preferences: { favorites: [], excluded: [], maxDistance }
+ */
+function loadStorePreferences() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(CONFIG.STORE_PREFS_KEY)) || {};
+        return {
+            favorites: Array.isArray(saved.favorites) ? saved.favorites : [],
+            excluded: Array.isArray(saved.excluded) ? saved.excluded : [],
+            maxDistance: clampMaxDistance(saved.maxDistance)
+        };
+    } catch (error) {
+        return { favorites: [], excluded: [], maxDistance: null };
+    }
+}
+
+let storePreferences = loadStorePreferences();
+
+/**
+ * Persist preferences and re-apply them to the results on screen
+ */
+function saveStorePreferences() {
+    try {
+        localStorage.setItem(CONFIG.STORE_PREFS_KEY, JSON.stringify(storePreferences));
+    } catch (error) {
+        console.warn('Could not save store preferences:', error);
+    }
+    
+    renderStorePreferences();
+    if (Object.keys(state.results).length > 0) {
+        refreshResults();
+    }
+}
+
+/**
+ * Merchant names are matched case-insensitively
+ */
+function normalizeMerchant(name) {
+    return (name || '').trim().toLowerCase();
+}
+
+/**
+ * Whether a merchant is on one of the preference lists ('favorites' or 'excluded')
+ */
+function isMerchantIn(listName, merchant) {
+    const key = normalizeMerchant(merchant);
+    return storePreferences[listName].some(name => normalizeMerchant(name) === key);
+}
+
+/**
+ * Whether store preferences allow a product (not excluded, within the distance limit)
+ */
+function isProductAllowed(product) {
+    if (isMerchantIn('excluded', product.merchant)) {
+        return false;
+    }
+    
+    const distance = getProductDistance(product);
+    return storePreferences.maxDistance === null || distance === null || distance <= storePreferences.maxDistance;
+}
+
+/**
+ * Preferences in the shape /api/cart expects
+ */
+function getStorePreferencesPayload() {
+    return {
+        favorite_merchants: storePreferences.favorites,
+        excluded_merchants: storePreferences.excluded,
+        max_distance_miles: storePreferences.maxDistance
+    };
+}
+
+/**
+ * Add a merchant to favourites or exclusions (removing it from the other list)
+ */
+function addStorePreference(listName, input) {
+    const name = input.value.trim();
+    if (!name) {
+        return;
+    }
+    
+    const otherList = listName === 'favorites' ? 'excluded' : 'favorites';
+    if (isMerchantIn(listName, name)) {
+        showToast(`${name} is already ${listName === 'favorites' ? 'a favourite' : 'excluded'}`);
+        return;
+    }
+    
+    if (storePreferences[listName].length >= CONFIG.MAX_STORE_PREFS) {
+        showToast(`Maximum ${CONFIG.MAX_STORE_PREFS} stores allowed`);
+        return;
+    }
+    
+    storePreferences[otherList] = storePreferences[otherList].filter(merchant => normalizeMerchant(merchant) !== normalizeMerchant(name));
+    storePreferences[listName] = [...storePreferences[listName], name];
+    input.value = '';
+    saveStorePreferences();
+}
+
+/**
+ * Render the preference chips, distance and summary
+ */
+function renderStorePreferences() {
+    const renderChips = (listName) => storePreferences[listName].length > 0
+        ? storePreferences[listName].map((merchant, index) => html`
+            <span class="store-chip ${listName}">
+                ${merchant}
+                <button class="store-chip-remove" data-list="${listName}" data-index="${index}" title="Remove">×</button>
+            </span>
+        `)
+        : html`<span class="store-chips-empty">None</span>`;
+    
+    renderHtml(favoriteStoresDiv, renderChips('favorites'));
+    renderHtml(excludedStoresDiv, renderChips('excluded'));
+    maxDistanceInput.value = storePreferences.maxDistance === null ? '' : storePreferences.maxDistance;
+    
+    const summary = [];
+    if (storePreferences.favorites.length > 0) {
+        summary.push(`${storePreferences.favorites.length} favourite${storePreferences.favorites.length > 1 ? 's' : ''}`);
+    }
+    if (storePreferences.excluded.length > 0) {
+        summary.push(`${storePreferences.excluded.length} excluded`);
+    }
+    if (storePreferences.maxDistance !== null) {
+        summary.push(`within ${storePreferences.maxDistance} mi`);
+    }
+    storePrefsSummary.textContent = summary.join(' • ');
+    
+    // Suggest merchants seen in the latest results
+    const merchants = getResultMerchants(state.results);
+    renderHtml(knownMerchantsList, '');
+    merchants.forEach(merchant => knownMerchantsList.appendChild(new Option(merchant, merchant)));
+}
+
+storePrefsToggle.addEventListener('click', () => {
+    storePrefsPanel.classList.toggle('hidden');
+    renderStorePreferences();
+});
+
+document.getElementById('addFavoriteBtn').addEventListener('click', () => {
+    addStorePreference('favorites', favoriteStoreInput);
+});
+
+document.getElementById('addExcludedBtn').addEventListener('click', () => {
+    addStorePreference('excluded', excludedStoreInput);
+});
+
+favoriteStoreInput.addEventListener('keypress', (e) => {
+    if (e.key === 'Enter') {
+        addStorePreference('favorites', favoriteStoreInput);
+    }
+});
+
+excludedStoreInput.addEventListener('keypress', (e) => {
+    if (e.key === 'Enter') {
+        addStorePreference('excluded', excludedStoreInput);
+    }
+});
+
+storePrefsPanel.addEventListener('click', (e) => {
+    const button = e.target.closest('.store-chip-remove');
+    if (!button) {
+        return;
+    }
+    
+    const listName = button.dataset.list;
+    storePreferences[listName] = storePreferences[listName].filter((_, index) => index !== Number(button.dataset.index));
+    saveStorePreferences();
+});
+
+maxDistanceInput.addEventListener('change', () => {
+    storePreferences.maxDistance = clampMaxDistance(parseFloat(maxDistanceInput.value));
+    saveStorePreferences();
+});
+
+// Keep preferences in sync with other tabs
+window.addEventListener('storage', (e) => {
+    if (e.key === CONFIG.STORE_PREFS_KEY) {
+        storePreferences = loadStorePreferences();
+        renderStorePreferences();
+        if (Object.keys(state.results).length > 0) {
+            refreshResults();
+        }
+    }
+});
+
+// ============================================================================
+// RATE LIMITING
+// ============================================================================
+
+const rateLimitTimers = {};  // scope ('clarify' | 'cart') -> countdown interval
+
+/**
+ * Whether requests for a scope are paused after a 429
+ */
+function isRateLimited(scope) {
+    return rateLimitTimers[scope] !== undefined;
+}
+
+/**
+ * Enable the submit buttons based on their inputs and any active rate limit
+ */
+function updateActionButtons() {
+    addManualBtn.disabled = itemInput.value.trim().length < 2 || isRateLimited('clarify');
+    findPricesBtn.disabled = zipInput.value.length !== CONFIG.MIN_ZIP_LENGTH || isRateLimited('cart');
+}
+
+/**
+ * Pause a scope after a 429 and count down until it can retry
+ */
+function startRateLimitCountdown(scope, seconds) {
+    const notice = document.getElementById(scope === 'cart' ? 'cartRateLimit' : 'clarifyRateLimit');
+    const until = Date.now() + (seconds || 30) * 1000;
+    
+    clearInterval(rateLimitTimers[scope]);
+    
+    const tick = () => {
+        const remaining = Math.ceil((until - Date.now()) / 1000);
+        
+        if (remaining <= 0) {
+            clearInterval(rateLimitTimers[scope]);
+            delete rateLimitTimers[scope];
+            notice.classList.add('hidden');
+            updateActionButtons();
+            return;
+        }
+        
+        notice.textContent = `Too many requests - you can try again in ${remaining}s`;
+        notice.classList.remove('hidden');
+    };
+    
+    rateLimitTimers[scope] = setInterval(tick, 1000);
+    tick();
+    updateActionButtons();
+}
+
+// ============================================================================
+// STEP 3: TRACKING JOB PROGRESS
+// ============================================================================
+
+const progressBar = document.querySelector('.progress-bar');
+const progressFill = document.getElementById('progressFill');
+const loadingStatus = document.getElementById('loadingStatus');
+const cancelSearchBtn = document.getElementById('cancelSearchBtn');
+
+// Backoff bookkeeping for the polling fallback
+let pollTracking = { attempt: 0, errors: 0, lastProgress: '' };
+
+/**
+ * Track the current job: stream progress when possible, otherwise poll
+ */
+function trackJob() {
+    stopTracking();
+    pollTracking = { attempt: 0, errors: 0, lastProgress: '' };
+    renderProgress({ status: 'queued' });
+    
+    if (CONFIG.USE_STREAMING && window.EventSource) {
+        startStreaming();
+    } else {
+        schedulePoll(0);
+    }
+}
+
+/**
+ * Stop streaming and cancel any scheduled poll
+ */
+function stopTracking() {
+    clearTimeout(state.pollTimer);
+    state.pollTimer = null;
+    
+    if (state.eventSource) {
+        state.eventSource.close();
+        state.eventSource = null;
+    }
+}
+
+/**
+ * Listen to server-sent progress events for the current job
+ */
+function startStreaming() {
+    const jobId = state.jobId;
+    const source = new EventSource(`${CONFIG.API_BASE_URL}/api/stream/${jobId}`);
+    state.eventSource = source;
+    
+    source.addEventListener('progress', (e) => {
+        renderProgress(JSON.parse(e.data));
+    });
+    
+    source.addEventListener('partial', (e) => {
+        handleJobPartial(JSON.parse(e.data));
+    });
+    
+    source.addEventListener('complete', (e) => {
+        stopTracking();
+        handleJobComplete(JSON.parse(e.data));
+    });
+    
+    source.addEventListener('failed', () => {
+        stopTracking();
+        handleJobFailed('Search failed. Please try again.');
+    });
+    
+    // The server closes long streams before its own timeout - reconnect
+    source.addEventListener('timeout', () => {
+        stopTracking();
+        if (state.jobId === jobId) {
+            startStreaming();
+        }
+    });
+    
+    // Stream unsupported, dropped or the backend errored - poll instead
+    source.addEventListener('error', () => {
+        if (state.eventSource !== source) {
+            return;
+        }
+        console.warn('Progress stream unavailable, falling back to polling');
+        stopTracking();
+        schedulePoll(0);
+    });
+}
+
+/**
+ * Delay before the next poll: exponential backoff with jitter
+ */
+function getPollDelay(attempt) {
+    const base = Math.min(
+        CONFIG.POLL_INTERVAL * Math.pow(CONFIG.POLL_BACKOFF, attempt),
+        CONFIG.POLL_MAX_INTERVAL
+    );
+    // Jitter keeps clients that started together from polling in lockstep
+    return base * (1 - CONFIG.POLL_JITTER / 2 + Math.random() * CONFIG.POLL_JITTER);
+}
+
+/**
+ * Schedule the next poll
+ */
+function schedulePoll(delay) {
+    clearTimeout(state.pollTimer);
+    state.pollTimer = setTimeout(pollResults, delay);
+}
+
+/**
+ * Poll for results
+ */
+async function pollResults() {
+    const jobId = state.jobId;
+    
+    try {
+        const response = await fetch(`${CONFIG.API_BASE_URL}/api/results/${jobId}`);
+        
+        if (!response.ok) {
+            throw new Error('Failed to fetch results');
+        }
+        
+        const data = await response.json();
+        
+        // Job was replaced or cancelled while the request was in flight
+        if (state.jobId !== jobId) {
+            return;
+        }
+        
+        if (data.status === 'complete') {
+            handleJobComplete(data);
+            return;
+        }
+        
+        if (data.status === 'failed') {
+            handleJobFailed('Search failed. Please try again.');
+            return;
+        }
+        
+        // Back off while nothing changes, poll quickly again once it does
+        const progress = getJobProgress(data);
+        const progressKey = JSON.stringify(progress);
+        pollTracking.attempt = progressKey === pollTracking.lastProgress ? pollTracking.attempt + 1 : 0;
+        pollTracking.lastProgress = progressKey;
+        pollTracking.errors = 0;
+        
+        renderProgress(progress);
+        if (hasPartialResults(data)) {
+            handleJobPartial(data);
+        }
+        schedulePoll(getPollDelay(pollTracking.attempt));
+        
+    } catch (error) {
+        if (state.jobId !== jobId) {
+            return;
+        }
+        
+        pollTracking.errors++;
+        if (pollTracking.errors > CONFIG.POLL_MAX_ERRORS) {
+            console.error('Error polling results:', error);
+            handleJobFailed('Error fetching results. Please try again.');
+            return;
+        }
+        
+        console.warn(`Poll failed (attempt ${pollTracking.errors}), retrying:`, error);
+        pollTracking.attempt++;
+        schedulePoll(getPollDelay(pollTracking.attempt));
+    }
+}
+
+/**
+ * Ask the backend to stop a job. Returns false if the request failed.
+ */
+async function cancelJob(jobId) {
+    try {
+        const response = await fetch(`${CONFIG.API_BASE_URL}/api/cancel/${encodeURIComponent(jobId)}`, {
+            method: 'POST'
+        });
+        
+        if (!response.ok) {
+            throw await toApiError(response);
+        }
+        return true;
+        
+    } catch (error) {
+        console.warn('Could not cancel job:', error);
+        return false;
+    }
+}
+
+/**
+ * Stop the running search (and any ZIP comparisons) and go back to step 2
+ */
+async function cancelSearch() {
+    const jobId = state.jobId;
+    
+    stopTracking();
+    cancelComparisons();
+    cancelFollowUpSearches();
+    state.jobId = null;
+    clearQueuedSearch();
+    saveState();
+    goToStep(2);
+    
+    // Stop tracking right away; the backend only needs to hear about it
+    if (jobId && !(await cancelJob(jobId))) {
+        showToast('Search stopped, but the server may still finish it');
+        return;
+    }
+    showToast('Search cancelled');
+}
+
+cancelSearchBtn.addEventListener('click', cancelSearch);
+
+/**
+ * Extract progress from a results response (same shape the stream sends)
+ */
+function getJobProgress(data) {
+    const progress = data.progress || {};
+    return {
+        status: data.status,
+        queue_position: data.queue_position ?? null,
+        items_done: progress.items_done ?? data.items_done ?? (data.results ? Object.keys(data.results).length : null),
+        items_total: progress.items_total ?? data.items_total ?? (data.results ? state.cart.length : null),
+        merchants_scraped: progress.merchants_scraped ?? data.merchants_scraped ?? null
+    };
+}
+
+/**
+ * Show job progress. The bar only fills when the backend reports item
+ * counts - otherwise it shows an indeterminate animation.
+ */
+function renderProgress(progress) {
+    let percent = null;
+    
+    if (progress.status === 'queued') {
+        loadingStatus.textContent = progress.queue_position
+            ? `Queued (position: ${progress.queue_position})`
+            : 'Job queued, waiting for worker...';
+    } else if (progress.status === 'processing') {
+        const parts = [];
+        if (progress.items_total) {
+            parts.push(`Searched ${progress.items_done || 0} of ${progress.items_total} items`);
+            percent = Math.round(((progress.items_done || 0) / progress.items_total) * 100);
+        }
+        if (progress.merchants_scraped) {
+            parts.push(`${progress.merchants_scraped} store${progress.merchants_scraped !== 1 ? 's' : ''} checked`);
+        }
+        loadingStatus.textContent = parts.length > 0 ? parts.join(' • ') : 'Processing your items...';
+    }
+    
+    progressBar.classList.toggle('indeterminate', percent === null);
+    progressFill.style.width = percent === null ? '' : `${percent}%`;
+    if (percent === null) {
+        progressBar.removeAttribute('aria-valuenow');
+    } else {
+        progressBar.setAttribute('aria-valuenow', percent);
+    }
+}
+
+/**
+ * Whether a processing job has already returned results for some items
+ */
+function hasPartialResults(data) {
+    return data.status === 'processing' && Object.keys(data.results || {}).length > 0;
+}
+
+/**
+ * Show the results found so far and keep tracking the rest
+ */
+function handleJobPartial(data) {
+    displayResults(data, true);
+    if (state.currentStep !== 4) {
+        goToStep(4);
+    }
+}
+
+/**
+ * Show results for a finished job
+ */
+function handleJobComplete(data) {
+    stopTracking();
+    progressBar.classList.remove('indeterminate');
+    progressFill.style.width = '100%';
+    progressBar.setAttribute('aria-valuenow', 100);
+    
+    // Record prices first so the trend lines include this search
+    priceAlerts = recordPriceHistory(data, state.jobId);
+    
+    // Start the trip planner on the cheapest overall plan; re-renders
+    // keep whichever plan the user picks after this
+    state.tripPlanIndex = Infinity;
+    
+    // Display results
+    displayResults(data);
+    loadSubstitutes(state.cart, state.results);
+    recordSearchHistory(data);
+    renderPriceAlerts();
+    goToStep(4);
+}
+
+/**
+ * Give up on the current job and send the user back to step 2
+ */
+function handleJobFailed(message) {
+    stopTracking();
+    state.jobId = null;
+    showToast(message);
+    goToStep(2);
+}
+
+// ============================================================================
+// STEP 4: DISPLAY RESULTS
+// ============================================================================
+
+const resultsTable = document.getElementById('resultsTable');
+const itemsFoundCount = document.getElementById('itemsFoundCount');
+const zipDisplay = document.getElementById('zipDisplay');
+const totalItems = document.getElementById('totalItems');
+const totalProducts = document.getElementById('totalProducts');
+const processingTime = document.getElementById('processingTime');
+const basketTotal = document.getElementById('basketTotal');
+const partialStatus = document.getElementById('partialStatus');
+const newSearchBtn = document.getElementById('newSearchBtn');
+
+// Last response shown, so toolbar changes can re-render it
+let lastResultsData = { results: {} };
+let lastResultsPartial = false;
+
+/**
+ * Render the price column: package price, unit price and line total
+ */
+function renderProductPricing(product, cartItem) {
+    const unitPrice = getUnitPrice(product);
+    const unitPriceText = unitPrice && html`<div class="product-unit-price">${formatUnitPrice(unitPrice)}</div>`;
+    const hasQuantity = cartItem.quantity !== 1 || cartItem.unit;
+    const lineText = hasQuantity && html`
+        <div class="product-line-total">
+            ${formatQuantity(cartItem)} = $${getLineCost(product, cartItem).toFixed(2)}
+            ${!getPackageCount(product, cartItem).sizeKnown && html`<span class="product-size-unknown">(1 pack - size unknown)</span>`}
+        </div>
+    `;
+    
+    return html`
+        <div class="product-pricing">
+            <div class="product-price">$${product.price.toFixed(2)}</div>
+            ${unitPriceText}
+            ${lineText}
+        </div>
+    `;
+}
+
+/**
+ * Whether the backend has finished searching for an item
+ */
+function isItemComplete(data, name) {
+    if (Array.isArray(data.completed_items)) {
+        return data.completed_items.includes(name);
+    }
+    return Array.isArray((data.results || {})[name]);
+}
+
+/**
+ * Render one product row. The best row carries the badge and expand button.
+ */
+function renderProductRow(product, cartItem, { isBest = false, isTie = false, extra = '' } = {}) {
+    const locationText = product.location && html`<div class="product-location">📍 ${product.location}</div>`;
+    const favoriteText = isMerchantIn('favorites', product.merchant) && html`<span class="favorite-badge" title="Favourite store">★</span>`;
+    
+    return html`
+        <div class="product-row ${isBest ? 'best' : ''}">
+            <div class="product-name">
+                ${isBest && html`<span class="best-badge">⭐ BEST PRICE</span>`}
+                ${isTie && html`<span class="tie-badge">Same price</span>`}
+                ${product.name || product.title || 'Product'}
+            </div>
+            ${renderProductPricing(product, cartItem)}
+            <div class="product-merchant">
+                ${favoriteText}${product.merchant}
+                ${locationText}
+                ${extra}
+            </div>
+        </div>
+    `;
+}
+
+/**
+ * Label for a card's expand button, e.g. "+ 2 other stores at this price • 5 more products"
+ */
+function getMoreProductsLabel(tieCount, otherCount) {
+    const parts = [];
+    if (tieCount > 0) {
+        parts.push(`${tieCount} other store${tieCount > 1 ? 's' : ''} at this price`);
+    }
+    if (otherCount > 0) {
+        parts.push(`${otherCount} more product${otherCount > 1 ? 's' : ''}`);
+    }
+    return `+ ${parts.join(' • ')}`;
+}
+
+/**
+ * Display search results. While the job is still processing, items the
+ * backend hasn't finished yet are shown as pending cards.
+ */
+function displayResults(data, isPartial = false) {
+    const results = mergeFollowUpResults(data.results || {});
+    state.results = results;
+    lastResultsData = data;
+    lastResultsPartial = isPartial;
+    const itemsWithResults = Object.keys(results).filter(item => results[item].length > 0);
+    
+    // Excluded and hidden stores are left out of the cards, total and trip plans
+    renderResultsToolbar(results);
+    const visibleResults = getVisibleResults(results);
+    
+    // Update summary
+    itemsFoundCount.textContent = itemsWithResults.length;
+    zipDisplay.textContent = data.zip_code || state.zipCode;
+    totalItems.textContent = state.cart.length;
+    
+    let totalProductsCount = 0;
+    Object.values(results).forEach(products => {
+        totalProductsCount += products.length;
+    });
+    totalProducts.textContent = totalProductsCount;
+    
+    processingTime.textContent = data.total_time ? `${data.total_time.toFixed(1)}s` : '-';
+    basketTotal.textContent = `$${getBasketTotal(visibleResults).toFixed(2)}`;
+    
+    renderResultsMap(data);
+    
+    // Plan trips only once every item is in
+    if (isPartial) {
+        tripPlannerDiv.classList.add('hidden');
+    } else {
+        renderTripPlanner();
+    }
+    
+    const isSearching = item => followUpSearching.has(item.name) ||
+        (isPartial && !isItemComplete(data, item.name) && !state.followUpResults[item.name]);
+    const pendingCount = state.cart.filter(isSearching).length;
+    partialStatus.textContent = `Still searching ${pendingCount} item${pendingCount !== 1 ? 's' : ''}...`;
+    partialStatus.classList.toggle('hidden', pendingCount === 0);
+    
+    // Render results
+    const cards = state.cart.map((cartItem, cartIndex) => {
+        const allProducts = results[cartItem.name] || [];
+        const products = visibleResults[cartItem.name] || [];
+        const statusBadge = isPartial && html`<span class="result-status complete">✓ Done</span>`;
+        
+        if (isSearching(cartItem)) {
+            // Still being searched
+            return html`
+                <div class="result-card pending">
+                    <div class="result-header">
+                        <span class="result-item-name">${cartItem.name}</span>
+                        <span class="result-status">Searching...</span>
+                    </div>
+                    <div class="result-products">
+                        <div class="loading-state">
+                            <div class="spinner"></div>
+                            <div class="pending-text">Checking stores for this item...</div>
+                        </div>
+                    </div>
+                </div>
+            `;
+        }
+        
+        if (products.length === 0) {
+            // No results found (or none from the stores being shown)
+            return html`
+                <div class="result-card">
+                    <div class="result-header">
+                        <span class="result-item-name">${cartItem.name}</span>
+                        ${statusBadge}
+                    </div>
+                    <div class="result-products">
+                        <p class="no-products">
+                            ${allProducts.length > 0 ? 'No products from the selected stores' : 'No products found'}
+                        </p>
+                        ${allProducts.length === 0 && renderSubstitutes(cartItem, cartIndex)}
+                    </div>
+                </div>
+            `;
+        }
+        
+        // Best price is always the cheapest for the requested quantity;
+        // the toolbar sort orders stores tied at that price and the rest
+        const sortedProducts = sortResultProducts(products, cartItem, state.resultsView.sort);
+        const bestPrice = Math.min(...products.map(p => toCents(getLineCost(p, cartItem))));
+        
+        // Group stores by same price, favourite stores first
+        const bestPriceProducts = sortedProducts
+            .filter(p => toCents(getLineCost(p, cartItem)) === bestPrice)
+            .sort((a, b) => isMerchantIn('favorites', b.merchant) - isMerchantIn('favorites', a.merchant));
+        const otherProducts = sortedProducts.filter(p => toCents(getLineCost(p, cartItem)) !== bestPrice);
+        const tieCount = bestPriceProducts.length - 1;
+        
+        let bestPriceHTML;
+        if (tieCount + otherProducts.length === 0) {
+            // Single product
+            bestPriceHTML = renderProductRow(bestPriceProducts[0], cartItem, { isBest: true });
+        } else {
+            // Ties at the best price first, then every other product returned
+            const cardId = `card-${cartIndex}`;
+            const label = getMoreProductsLabel(tieCount, otherProducts.length);
+            const expanded = state.resultsView.expanded;
+            
+            bestPriceHTML = html`
+                ${renderProductRow(bestPriceProducts[0], cartItem, {
+                    isBest: true,
+                    extra: html`
+                        <button class="btn-expand" data-action="toggle-stores" data-card="${cardId}" id="btn-${cardId}" data-label="${label}">
+                            ${expanded ? '- Hide other products' : label}
+                        </button>
+                    `
+                })}
+                <div id="${cardId}" class="other-stores ${expanded ? '' : 'hidden'}">
+                    ${bestPriceProducts.slice(1).map(p => renderProductRow(p, cartItem, { isTie: true }))}
+                    ${otherProducts.map(p => renderProductRow(p, cartItem))}
+                </div>
+            `;
+        }
+        
+        return html`
+            <div class="result-card">
+                <div class="result-header">
+                    <span class="result-item-name">${cartItem.name}</span>
+                    ${(cartItem.quantity !== 1 || cartItem.unit) && html`<span class="result-item-quantity">${formatQuantity(cartItem)}</span>`}
+                    ${statusBadge}
+                    ${renderPriceTrend(cartItem, cartIndex)}
+                </div>
+                <div class="result-products">
+                    ${bestPriceHTML}
+                </div>
+            </div>
+        `;
+    });
+    renderHtml(resultsTable, cards);
+    
+    // Substitutes are looked up once the search (or a follow-up) completes
+    const missingItems = state.cart.filter(item => !isSearching(item) && Array.isArray(results[item.name]) && results[item.name].length === 0);
+    renderSubstitutesBar(missingItems);
+    renderZipComparison();
+    renderChecklist();
+}
+
+/**
+ * Toggle visibility of other stores
+ */
+function toggleStores(cardId) {
+    const storesDiv = document.getElementById(cardId);
+    const btn = document.getElementById(`btn-${cardId}`);
+    
+    if (storesDiv.classList.contains('hidden')) {
+        storesDiv.classList.remove('hidden');
+        btn.textContent = '- Hide other products';
+    } else {
+        storesDiv.classList.add('hidden');
+        btn.textContent = btn.dataset.label;
+    }
+}
+
+resultsTable.addEventListener('click', (e) => {
+    const button = e.target.closest('[data-action]');
+    if (!button) {
+        return;
+    }
+    
+    const action = button.dataset.action;
+    const substitutes = button.closest('.substitutes');
+    if (action === 'toggle-stores') {
+        toggleStores(button.dataset.card);
+    } else if (action === 'set-target') {
+        setPriceTarget(Number(button.dataset.cartIndex));
+    } else if (action === 'select-substitute') {
+        selectSubstitute(Number(substitutes.dataset.cartIndex), Number(button.dataset.option));
+    } else if (action === 'search-substitute') {
+        searchSubstitutes(Number(substitutes.dataset.cartIndex));
+    }
+});
+
+newSearchBtn.addEventListener('click', () => {
+    stopTracking();
+    cancelComparisons();
+    cancelFollowUpSearches();
+    cancelAllPending();
+    
+    // Reset state
+    state.cart = [];
+    state.jobId = null;
+    state.zipCode = null;
+    state.compareZips = [];
+    state.pendingSuggestions = [];
+    state.results = {};
+    state.followUpResults = {};
+    state.resultsView = { merchant: '', hiddenMerchants: [], sort: 'price', expanded: false, showMap: false };
+    state.checklist = { open: false, checked: [] };
+    saveState();
+    priceAlerts = [];
+    renderPriceAlerts();
+    
+    // Reset inputs
+    itemInput.value = '';
+    zipInput.value = '';
+    
+    // Reset UI
+    renderCart();
+    renderCompareZips();
+    renderPendingSuggestions();
+    closeResultsEditor();
+    
+    // Go back to step 1
+    goToStep(1);
+});
+
+// ============================================================================
+// FOLLOW-UP SEARCHES
+// ============================================================================
+
+// Item names being searched by a follow-up job
+const followUpSearching = new Set();
+
+// Controllers for the running follow-up searches, so starting over can stop them
+const followUpControllers = new Set();
+
+/**
+ * Overlay follow-up results on a job's results, keeping only items still in the cart
+ */
+function mergeFollowUpResults(results) {
+    const merged = {};
+    state.cart.forEach(item => {
+        const products = state.followUpResults[item.name] || results[item.name];
+        if (products) {
+            merged[item.name] = products;
+        }
+    });
+    return merged;
+}
+
+/**
+ * Wait for a follow-up job to finish, polling with the usual backoff.
+ * Aborting `signal` stops waiting (rejects with an AbortError), and so does
+ * running past CONFIG.JOB_MAX_WAIT (a TimeoutError).
+ */
+async function waitForJob(jobId, { signal }) {
+    const deadline = Date.now() + CONFIG.JOB_MAX_WAIT;
+    let attempt = 0;
+    let errors = 0;
+    
+    while (true) {
+        await delay(getPollDelay(attempt), signal);
+        
+        if (Date.now() >= deadline) {
+            throw new DOMException('Gave up waiting for job', 'TimeoutError');
+        }
+        
+        try {
+            const response = await fetch(`${CONFIG.API_BASE_URL}/api/results/${jobId}`, { signal });
+            if (!response.ok) {
+                throw await toApiError(response);
+            }
+            
+            const data = await response.json();
+            if (data.status === 'complete') {
+                return data;
+            }
+            if (data.status === 'failed') {
+                throw new Error('Search failed');
+            }
+            errors = 0;
+        } catch (error) {
+            errors++;
+            if (error.name === 'AbortError' || errors > CONFIG.POLL_MAX_ERRORS) {
+                throw error;
+            }
+        }
+        
+        attempt++;
+    }
+}
+
+/**
+ * Search a few items in a separate job and merge the results into step 4.
+ * Resolves to 'done', 'failed' (the search couldn't be run) or 'cancelled'
+ * (the user started over or stopped searching meanwhile).
+ */
+async function runFollowUpSearch(items) {
+    const names = items.map(item => item.name);
+    const controller = new AbortController();
+    let jobId = null;
+    followUpControllers.add(controller);
+    names.forEach(name => followUpSearching.add(name));
+    refreshResults();
+    
+    try {
+        const response = await fetch(`${CONFIG.API_BASE_URL}/api/cart`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(buildCartRequest(items, prioritizeNearbyToggle.checked)),
+            signal: controller.signal
+        });
+        
+        if (!response.ok) {
+            throw await toApiError(response);
+        }
+        
+        jobId = (await response.json()).job_id;
+        const data = await waitForJob(jobId, { signal: controller.signal });
+        
+        names.forEach(name => {
+            state.followUpResults[name] = (data.results || {})[name] || [];
+        });
+        loadSubstitutes(items, state.followUpResults);
+        priceAlerts = [...priceAlerts, ...recordPriceHistory(data, jobId)];
+        renderPriceAlerts();
+        return 'done';
+        
+    } catch (error) {
+        if (error.name === 'AbortError') {
+            // The backend only needs to hear about it
+            if (jobId) {
+                cancelJob(jobId);
+            }
+            return 'cancelled';
+        }
+        
+        console.error('Error running follow-up search:', error);
+        if (error instanceof ApiError && error.status === 429) {
+            startRateLimitCountdown('cart', error.retryAfter);
+            showToast(`Too many searches - try again in ${error.retryAfter || 60}s`);
+        } else if (error.name === 'TimeoutError') {
+            showToast('The search is taking too long. Please try again.');
+        } else {
+            showToast('Search failed. Please try again.');
+        }
+        return 'failed';
+        
+    } finally {
+        followUpControllers.delete(controller);
+        names.forEach(name => followUpSearching.delete(name));
+        
+        // After starting over there are no results left to update
+        if (!controller.signal.aborted) {
+            saveState();
+            refreshResults();
+        }
+    }
+}
+
+/**
+ * Stop every running follow-up search
+ */
+function cancelFollowUpSearches() {
+    followUpControllers.forEach(controller => controller.abort());
+}
+
+// ============================================================================
+// SUBSTITUTIONS
+// ============================================================================
+
+const substitutesBar = document.getElementById('substitutesBar');
+
+// AI substitutes per missing item: { status, options: [names], selected }
+const substituteOptions = {};
+
+/**
+ * Fetch clarify alternatives for the items a completed search found no
+ * products for (once per item)
+ */
+function loadSubstitutes(items, results) {
+    const missing = items.filter(item => Array.isArray(results[item.name]) && results[item.name].length === 0);
+    missing.filter(item => !substituteOptions[item.name]).forEach(async item => {
+        substituteOptions[item.name] = { status: 'loading', options: [], selected: 0 };
+        
+        let data = null;
+        try {
+            data = await fetchSuggestions(item.name);
+        } catch (error) {
+            console.error(`Failed to get substitutes for ${item.name}:`, error);
+        }
+        const taken = new Set(state.cart.map(cartItem => normalizeItemText(cartItem.name)));
+        const names = data
+            ? [data.suggested, ...(data.alternatives || [])].filter(Boolean).map(option => option.name)
+            : [];
+        
+        const options = [];
+        names.forEach(name => {
+            const key = normalizeItemText(name);
+            if (name && !taken.has(key)) {
+                taken.add(key);
+                options.push(name);
+            }
+        });
+        
+        substituteOptions[item.name] = {
+            status: data ? 'complete' : 'error',
+            options: options.slice(0, 4),
+            selected: 0
+        };
+        refreshResults();
+    });
+}
+
+/**
+ * Substitute picker for a card with no results
+ */
+function renderSubstitutes(cartItem, cartIndex) {
+    const entry = substituteOptions[cartItem.name];
+    if (!entry || entry.status === 'loading') {
+        return html`<div class="substitutes"><span class="substitutes-label">Looking for substitutes...</span></div>`;
+    }
+    
+    if (entry.options.length === 0) {
+        return '';
+    }
+    
+    return html`
+        <div class="substitutes" data-cart-index="${cartIndex}">
+            <span class="substitutes-label">Try instead:</span>
+            <div class="substitute-options">
+                ${entry.options.map((name, index) => html`
+                    <button class="substitute-option ${index === entry.selected ? 'selected' : ''}" data-action="select-substitute" data-option="${index}">
+                        ${name}
+                    </button>
+                `)}
+            </div>
+            <button class="btn-secondary substitute-search" data-action="search-substitute">Search this instead</button>
+        </div>
+    `;
+}
+
+/**
+ * One-click bar to search substitutes for every empty item at once
+ */
+function renderSubstitutesBar(missingItems) {
+    const ready = missingItems.filter(item => substituteOptions[item.name] && substituteOptions[item.name].options.length > 0);
+    substitutesBar.classList.toggle('hidden', ready.length < 2);
+    renderHtml(substitutesBar, html`
+        <span>${ready.length} items had no results.</span>
+        <button class="btn-primary" data-action="search-all-substitutes">Search substitutes for all</button>
+    `);
+}
+
+/**
+ * Pick which substitute to search for an item
+ */
+function selectSubstitute(cartIndex, optionIndex) {
+    const entry = substituteOptions[state.cart[cartIndex].name];
+    entry.selected = optionIndex;
+    refreshResults();
+}
+
+/**
+ * Swap empty items for their selected substitutes and search only those.
+ * With no index, every empty item that has a substitute is swapped.
+ */
+async function searchSubstitutes(cartIndex) {
+    if (isRateLimited('cart')) {
+        showToast('Too many searches - please wait a moment');
+        return;
+    }
+    
+    const indexes = cartIndex === undefined ? state.cart.map((_, index) => index) : [cartIndex];
+    const swaps = [];
+    indexes.forEach(index => {
+        const original = state.cart[index];
+        const entry = substituteOptions[original.name];
+        if ((state.results[original.name] || []).length === 0 && entry && entry.options.length > 0) {
+            // Keep the quantity and unit, search the substitute's name
+            swaps.push({ index, original, substitute: { ...original, name: entry.options[entry.selected] } });
+        }
+    });
+    
+    if (swaps.length === 0) {
+        return;
+    }
+    
+    swaps.forEach(({ index, original, substitute }) => {
+        state.cart[index] = substitute;
+        delete state.followUpResults[original.name];
+    });
+    saveState();
+    renderCart();
+    
+    const outcome = await runFollowUpSearch(swaps.map(swap => swap.substitute));
+    
+    // Put the original items back if the search couldn't run
+    if (outcome === 'failed') {
+        swaps.forEach(({ index, original, substitute }) => {
+            if (state.cart[index] && state.cart[index].name === substitute.name) {
+                state.cart[index] = original;
+            }
+        });
+        saveState();
+        renderCart();
+        refreshResults();
+    }
+}
+
+substitutesBar.addEventListener('click', (e) => {
+    if (e.target.closest('[data-action="search-all-substitutes"]')) {
+        searchSubstitutes();
+    }
+});
+
+// ============================================================================
+// EDIT LIST FROM RESULTS
+// ============================================================================
+
+const editCartBtn = document.getElementById('editCartBtn');
+const resultsEditor = document.getElementById('resultsEditor');
+
+// Working copy of the cart while editing: [{ name, quantity, unit, originalName }]
+let editDraft = [];
+
+/**
+ * Open or close the editor on a fresh copy of the cart
+ */
+function toggleResultsEditor() {
+    if (!resultsEditor.classList.contains('hidden')) {
+        closeResultsEditor();
+        return;
+    }
+    
+    resultsEditor.classList.remove('hidden');
+    editCartBtn.textContent = 'Close editor';
+    editDraft = state.cart.map(item => ({ ...item, originalName: item.name }));
+    renderResultsEditor();
+}
+
+/**
+ * Hide the editor and drop the draft
+ */
+function closeResultsEditor() {
+    resultsEditor.classList.add('hidden');
+    editCartBtn.textContent = 'Edit list';
+    editDraft = [];
+}
+
+/**
+ * Render the draft rows
+ */
+function renderResultsEditor() {
+    const searching = followUpSearching.size > 0;
+    
+    renderHtml(resultsEditor, html`
+        <div class="results-editor-rows">
+            ${editDraft.map((item, index) => html`
+                <div class="cart-item" data-index="${index}">
+                    <input type="text" class="results-editor-name" data-field="name" value="${item.name}" maxlength="50" aria-label="Item name" placeholder="Item name">
+                    <div class="cart-item-quantity">
+                        <input type="number" class="quantity-input" data-field="quantity" value="${item.quantity}" min="0.5" step="0.5" aria-label="Quantity">
+                        <select class="unit-select" data-field="unit" aria-label="Unit">
+                            ${CART_UNITS.map(unit => html`<option value="${unit}" ${unit === item.unit ? 'selected' : ''}>${unit || 'pkg'}</option>`)}
+                        </select>
+                    </div>
+                    <button class="cart-item-remove" data-action="remove" title="Remove item">
+                        <svg width="20" height="20" viewBox="0 0 20 20" fill="none">
+                            <path d="M15 5L5 15M5 5L15 15" stroke="currentColor" stroke-width="2" stroke-linecap="round"/>
+                        </svg>
+                    </button>
+                </div>
+            `)}
+        </div>
+        <div class="results-editor-actions">
+            <button class="btn-text" data-action="add" ${editDraft.length >= CONFIG.MAX_ITEMS ? 'disabled' : ''}>+ Add item</button>
+            <button class="btn-primary" data-action="apply" ${searching ? 'disabled' : ''}>
+                ${searching ? 'Searching...' : 'Update results'}
+            </button>
+        </div>
+    `);
+}
+
+/**
+ * Apply the draft: removals and quantity changes apply at once, new or
+ * renamed items are searched in a follow-up job and merged into the results
+ */
+async function applyResultsEdits() {
+    const draft = editDraft
+        .map(item => ({ ...item, name: item.name.trim() }))
+        .filter(item => item.name.length > 0);
+    
+    const names = draft.map(item => normalizeItemText(item.name));
+    if (names.some((name, index) => names.indexOf(name) !== index)) {
+        showToast('Each item can only be on the list once');
+        return;
+    }
+    
+    if (draft.length === 0) {
+        showToast('Keep at least one item on the list');
+        return;
+    }
+    
+    // Items without results for their current name need searching
+    const changed = draft.filter(item => item.name !== item.originalName
+        && !state.followUpResults[item.name] && !(lastResultsData.results || {})[item.name]);
+    if (changed.length > 0 && isRateLimited('cart')) {
+        showToast('Too many searches - please wait a moment');
+        return;
+    }
+    
+    const previousCart = state.cart;
+    state.cart = draft.map(item => createCartItem(item.name, item.quantity, item.unit));
+    saveState();
+    renderCart();
+    closeResultsEditor();
+    
+    if (changed.length === 0) {
+        refreshResults();
+        return;
+    }
+    
+    const outcome = await runFollowUpSearch(changed.map(item => createCartItem(item.name, item.quantity, item.unit)));
+    if (outcome === 'failed') {
+        state.cart = previousCart;
+        saveState();
+        renderCart();
+        refreshResults();
+    }
+}
+
+editCartBtn.addEventListener('click', toggleResultsEditor);
+
+resultsEditor.addEventListener('input', (e) => {
+    const row = e.target.closest('.cart-item');
+    const field = e.target.dataset.field;
+    if (!row || !field) {
+        return;
+    }
+    
+    const item = editDraft[row.dataset.index];
+    if (field === 'quantity') {
+        const quantity = parseFloat(e.target.value);
+        item.quantity = quantity > 0 ? quantity : 1;
+    } else {
+        item[field] = e.target.value;
+    }
+});
+
+resultsEditor.addEventListener('click', (e) => {
+    const button = e.target.closest('[data-action]');
+    if (!button) {
+        return;
+    }
+    
+    const action = button.dataset.action;
+    if (action === 'remove') {
+        editDraft.splice(Number(button.closest('.cart-item').dataset.index), 1);
+        renderResultsEditor();
+    } else if (action === 'add' && editDraft.length < CONFIG.MAX_ITEMS) {
+        editDraft.push({ ...createCartItem(''), originalName: null });
+        renderResultsEditor();
+        resultsEditor.querySelector('.cart-item:last-child [data-field="name"]').focus();
+    } else if (action === 'apply') {
+        applyResultsEdits();
+    }
+});
+
+// ============================================================================
+// ZIP COMPARISON
+// ============================================================================
+
+const compareZipInput = document.getElementById('compareZipInput');
+const compareZipsDiv = document.getElementById('compareZips');
+const zipComparisonDiv = document.getElementById('zipComparison');
+
+// Comparison jobs being polled in this tab: jobId -> AbortController
+const comparisonControllers = {};
+
+/**
+ * Add the typed ZIP to the comparison list
+ */
+function addCompareZip() {
+    const zipCode = compareZipInput.value;
+    if (zipCode.length !== CONFIG.MIN_ZIP_LENGTH) {
+        showToast('Enter a 5-digit ZIP code');
+        return;
+    }
+    
+    if (zipCode === zipInput.value || state.compareZips.includes(zipCode)) {
+        showToast(`${zipCode} is already being searched`);
+        return;
+    }
+    
+    if (state.compareZips.length >= CONFIG.MAX_COMPARE_ZIPS) {
+        showToast(`Compare up to ${CONFIG.MAX_COMPARE_ZIPS} other ZIP codes`);
+        return;
+    }
+    
+    state.compareZips = [...state.compareZips, zipCode];
+    compareZipInput.value = '';
+    saveState();
+    renderCompareZips();
+}
+
+/**
+ * Render the comparison ZIP chips on step 2
+ */
+function renderCompareZips() {
+    renderHtml(compareZipsDiv, state.compareZips.map((zipCode, index) => html`
+        <span class="store-chip zip">
+            ${zipCode}
+            <button class="store-chip-remove" data-index="${index}" title="Remove">×</button>
+        </span>
+    `));
+}
+
+/**
+ * Submit the cart for every comparison ZIP alongside the main search
+ */
+async function startComparisons(prioritizeNearby) {
+    const mainJobId = state.jobId;
+    const zipCodes = state.compareZips.filter(zipCode => zipCode !== state.zipCode);
+    
+    const comparisons = await Promise.all(zipCodes.map(async zipCode => {
+        try {
+            const response = await fetch(`${CONFIG.API_BASE_URL}/api/cart`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(buildCartRequest(state.cart, prioritizeNearby, zipCode))
+            });
+            
+            if (!response.ok) {
+                throw await toApiError(response);
+            }
+            
+            const { job_id: jobId } = await response.json();
+            return { zipCode, jobId, status: 'searching', data: null };
+            
+        } catch (error) {
+            console.error(`Error submitting cart for ${zipCode}:`, error);
+            return { zipCode, jobId: null, status: 'failed', data: null };
+        }
+    }));
+    
+    // The main search was cancelled while these were being submitted
+    if (state.jobId !== mainJobId) {
+        comparisons.forEach(cancelComparison);
+        return;
+    }
+    
+    state.comparisons = comparisons;
+    saveState();
+    renderZipComparison();
+    resumeComparisons();
+}
+
+/**
+ * Poll any comparison searches that aren't being tracked yet
+ */
+function resumeComparisons() {
+    state.comparisons
+        .filter(comparison => comparison.status === 'searching' && !comparisonControllers[comparison.jobId])
+        .forEach(comparison => trackComparison(comparison.jobId));
+}
+
+/**
+ * Wait for one comparison job and store its results
+ */
+async function trackComparison(jobId) {
+    const controller = new AbortController();
+    comparisonControllers[jobId] = controller;
+    let update;
+    
+    try {
+        const data = await waitForJob(jobId, { signal: controller.signal });
+        update = { status: 'complete', data };
+    } catch (error) {
+        if (error.name === 'AbortError') {
+            return;
+        }
+        console.error(`Comparison search ${jobId} failed:`, error);
+        update = { status: 'failed' };
+    } finally {
+        delete comparisonControllers[jobId];
+    }
+    
+    // The comparison may have been cancelled or replaced meanwhile
+    const comparison = state.comparisons.find(entry => entry.jobId === jobId);
+    if (!comparison || comparison.status !== 'searching') {
+        return;
+    }
+    
+    Object.assign(comparison, update);
+    saveState();
+    renderZipComparison();
+}
+
+/**
+ * Stop a comparison search, here and on the backend
+ */
+function cancelComparison(comparison) {
+    if (comparison.status !== 'searching') {
+        return;
+    }
+    
+    if (comparisonControllers[comparison.jobId]) {
+        comparisonControllers[comparison.jobId].abort();
+    }
+    cancelJob(comparison.jobId);
+    comparison.status = 'cancelled';
+}
+
+/**
+ * Stop every comparison search and forget their results
+ */
+function cancelComparisons() {
+    state.comparisons.forEach(cancelComparison);
+    state.comparisons = [];
+}
+
+/**
+ * Basket total and coverage for one ZIP's results (after store preferences)
+ */
+function summarizeBasket(results) {
+    const visibleResults = getVisibleResults(results || {});
+    return {
+        total: getBasketTotal(visibleResults),
+        itemsFound: state.cart.filter(item => (visibleResults[item.name] || []).length > 0).length
+    };
+}
+
+/**
+ * Render the basket total per ZIP. Only ZIPs that found the most items
+ * compete for "cheapest", so a ZIP missing items doesn't win by default.
+ */
+function renderZipComparison() {
+    if (state.comparisons.length === 0) {
+        zipComparisonDiv.classList.add('hidden');
+        return;
+    }
+    
+    const rows = [
+        { zipCode: state.zipCode, status: lastResultsPartial ? 'searching' : 'complete', results: state.results, current: true },
+        ...state.comparisons.map((comparison, index) => ({
+            ...comparison,
+            index,
+            results: comparison.data ? comparison.data.results : null
+        }))
+    ].map(row => ({ ...row, ...(row.status === 'complete' ? summarizeBasket(row.results) : {}) }));
+    
+    const complete = rows.filter(row => row.status === 'complete');
+    const bestCoverage = Math.max(...complete.map(row => row.itemsFound));
+    const cheapest = complete
+        .filter(row => row.itemsFound === bestCoverage)
+        .reduce((best, row) => (!best || row.total < best.total ? row : best), null);
+    
+    const statusLabels = { searching: 'Searching...', failed: 'Search failed', cancelled: 'Cancelled' };
+    
+    zipComparisonDiv.classList.remove('hidden');
+    renderHtml(zipComparisonDiv, html`
+        <h2 class="zip-comparison-title">Basket total by ZIP</h2>
+        ${rows.map(row => {
+            let action = '';
+            if (row.current) {
+                action = html`<span class="zip-comparison-current">Showing</span>`;
+            } else if (row.status === 'searching') {
+                action = html`<button class="btn-text" data-action="cancel" data-index="${row.index}">Cancel</button>`;
+            } else if (row.status === 'complete') {
+                action = html`<button class="btn-text" data-action="view" data-index="${row.index}">View</button>`;
+            }
+            
+            const summary = row.status === 'complete'
+                ? html`
+                    <span class="zip-comparison-items">${row.itemsFound}/${state.cart.length} items</span>
+                    <span class="zip-comparison-total">$${row.total.toFixed(2)}</span>
+                    ${row === cheapest && complete.length > 1
+                        ? html`<span class="zip-comparison-badge">Cheapest</span>`
+                        : cheapest && row.itemsFound === bestCoverage
+                            && html`<span class="zip-comparison-diff">+$${(row.total - cheapest.total).toFixed(2)}</span>`}
+                `
+                : html`<span class="zip-comparison-status">${statusLabels[row.status]}</span>`;
+            
+            return html`
+                <div class="zip-comparison-row ${row.current ? 'current' : ''}">
+                    <span class="zip-comparison-zip">ZIP ${row.zipCode}</span>
+                    ${summary}
+                    ${action}
+                </div>
+            `;
+        })}
+    `);
+}
+
+/**
+ * Show a comparison ZIP's results in step 4, keeping the current ones
+ * in the comparison so the user can switch back
+ */
+function viewComparison(index) {
+    if (isTrackingJob() || followUpSearching.size > 0) {
+        showToast('Wait for the current search to finish');
+        return;
+    }
+    
+    const comparison = state.comparisons[index];
+    state.comparisons[index] = {
+        zipCode: state.zipCode,
+        jobId: state.jobId,
+        status: 'complete',
+        data: { ...lastResultsData, results: state.results }
+    };
+    
+    state.zipCode = comparison.zipCode;
+    state.jobId = comparison.jobId;
+    state.followUpResults = {};
+    state.resultsView.merchant = '';
+    state.tripPlanIndex = Infinity;
+    zipInput.value = state.zipCode;
+    saveState();
+    
+    displayResults(comparison.data);
+    loadSubstitutes(state.cart, state.results);
+    updateRoute(4, true);
+}
+
+compareZipInput.addEventListener('input', () => {
+    compareZipInput.value = compareZipInput.value.replace(/\D/g, '');
+});
+
+compareZipInput.addEventListener('keypress', (e) => {
+    if (e.key === 'Enter') {
+        addCompareZip();
+    }
+});
+
+document.getElementById('addCompareZipBtn').addEventListener('click', addCompareZip);
+
+compareZipsDiv.addEventListener('click', (e) => {
+    const button = e.target.closest('.store-chip-remove');
+    if (!button) {
+        return;
+    }
+    
+    state.compareZips = state.compareZips.filter((_, index) => index !== Number(button.dataset.index));
+    saveState();
+    renderCompareZips();
+});
+
+zipComparisonDiv.addEventListener('click', (e) => {
+    const button = e.target.closest('[data-action]');
+    if (!button) {
+        return;
+    }
+    
+    const index = Number(button.dataset.index);
+    if (button.dataset.action === 'view') {
+        viewComparison(index);
+    } else if (button.dataset.action === 'cancel') {
+        cancelComparison(state.comparisons[index]);
+        saveState();
+        renderZipComparison();
+    }
+});
+
+// ============================================================================
+// RESULTS TOOLBAR
+// ============================================================================
+
+const resultsToolbar = document.getElementById('resultsToolbar');
+const merchantFilter = document.getElementById('merchantFilter');
+const resultsSort = document.getElementById('resultsSort');
+const expandAllBtn = document.getElementById('expandAllBtn');
+const mapToggleBtn = document.getElementById('mapToggleBtn');
+const storeToggles = document.getElementById('storeToggles');
+const prefsHiddenNote = document.getElementById('prefsHiddenNote');
+
+// Merchants behind the store toggle buttons (by data-index)
+let toolbarMerchants = [];
+
+/**
+ * Distance to a store in miles, from `distance` or a "2.3 mi" location (null if unknown)
+ */
+function getProductDistance(product) {
+    if (typeof product.distance === 'number') {
+        return product.distance;
+    }
+    const match = /(\d+(?:\.\d+)?)\s*mi\b/i.exec(product.location || '');
+    return match ? parseFloat(match[1]) : null;
+}
+
+/**
+ * Sort an item's products by price, unit price, distance or merchant name.
+ * Unknown unit prices and distances go last; ties fall back to price.
+ */
+function sortResultProducts(products, cartItem, sort) {
+    const byCost = (a, b) => getLineCost(a, cartItem) - getLineCost(b, cartItem);
+    const nullsLast = (getValue) => (a, b) => {
+        const valueA = getValue(a);
+        const valueB = getValue(b);
+        if (valueA === null || valueB === null) {
+            return (valueA === null) - (valueB === null) || byCost(a, b);
+        }
+        return valueA - valueB || byCost(a, b);
+    };
+    
+    const comparators = {
+        price: byCost,
+        unitPrice: nullsLast(product => {
+            const unitPrice = getUnitPrice(product);
+            return unitPrice ? unitPrice.value : null;
+        }),
+        distance: nullsLast(getProductDistance),
+        merchant: (a, b) => (a.merchant || '').localeCompare(b.merchant || '') || byCost(a, b)
+    };
+    
+    return [...products].sort(comparators[sort] || byCost);
+}
+
+/**
+ * Whether the toolbar shows a merchant's products
+ */
+function isMerchantVisible(merchant) {
+    const view = state.resultsView;
+    if (view.merchant && view.merchant !== merchant) {
+        return false;
+    }
+    return !view.hiddenMerchants.includes(merchant);
+}
+
+/**
+ * Results map with only the products store preferences allow from visible merchants
+ */
+function getVisibleResults(results) {
+    const visible = {};
+    Object.keys(results).forEach(name => {
+        visible[name] = results[name].filter(product => isProductAllowed(product) && isMerchantVisible(product.merchant));
+    });
+    return visible;
+}
+
+/**
+ * Every merchant in the results, alphabetically
+ */
+function getResultMerchants(results) {
+    const merchants = new Set();
+    Object.values(results).forEach(products => {
+        products.forEach(product => merchants.add(product.merchant));
+    });
+    return [...merchants].sort((a, b) => a.localeCompare(b));
+}
+
+/**
+ * Render the store filter, store toggles, sort and expand controls
+ */
+function renderResultsToolbar(results) {
+    const view = state.resultsView;
+    const allMerchants = getResultMerchants(results);
+    const merchants = allMerchants.filter(merchant => !isMerchantIn('excluded', merchant));
+    toolbarMerchants = merchants;
+    
+    resultsToolbar.classList.toggle('hidden', allMerchants.length === 0);
+    
+    const filteredCount = Object.values(results).reduce((count, products) => count + products.filter(product => !isProductAllowed(product)).length, 0);
+    prefsHiddenNote.textContent = `${filteredCount} product${filteredCount !== 1 ? 's' : ''} hidden by your store preferences`;
+    prefsHiddenNote.classList.toggle('hidden', filteredCount === 0);
+    
+    // Forget filters for stores that aren't in these results
+    if (view.merchant && !merchants.includes(view.merchant)) {
+        view.merchant = '';
+    }
+    view.hiddenMerchants = view.hiddenMerchants.filter(merchant => merchants.includes(merchant));
+    
+    renderHtml(merchantFilter, html`<option value="">All stores</option>`);
+    merchants.forEach(merchant => merchantFilter.add(new Option(merchant, merchant)));
+    merchantFilter.value = view.merchant;
+    resultsSort.value = view.sort;
+    expandAllBtn.textContent = view.expanded ? 'Collapse all' : 'Expand all products';
+    mapToggleBtn.textContent = view.showMap ? 'Hide map' : 'Show map';
+    
+    renderHtml(storeToggles, merchants.map((merchant, index) => html`
+        <button class="store-toggle ${view.hiddenMerchants.includes(merchant) ? 'off' : ''}" data-index="${index}" title="Show or hide this store">
+            ${merchant}
+        </button>
+    `));
+}
+
+/**
+ * Re-render the results after a toolbar change
+ */
+function refreshResults() {
+    displayResults(lastResultsData, lastResultsPartial);
+}
+
+merchantFilter.addEventListener('change', () => {
+    state.resultsView.merchant = merchantFilter.value;
+    refreshResults();
+});
+
+resultsSort.addEventListener('change', () => {
+    state.resultsView.sort = resultsSort.value;
+    refreshResults();
+});
+
+expandAllBtn.addEventListener('click', () => {
+    state.resultsView.expanded = !state.resultsView.expanded;
+    refreshResults();
+});
+
+mapToggleBtn.addEventListener('click', () => {
+    state.resultsView.showMap = !state.resultsView.showMap;
+    refreshResults();
+});
+
+storeToggles.addEventListener('click', (e) => {
+    const button = e.target.closest('.store-toggle');
+    if (!button) {
+        return;
+    }
+    
+    const merchant = toolbarMerchants[button.dataset.index];
+    const hidden = state.resultsView.hiddenMerchants;
+    state.resultsView.hiddenMerchants = hidden.includes(merchant)
+        ? hidden.filter(name => name !== merchant)
+        : [...hidden, merchant];
+    refreshResults();
+});
+
+// ============================================================================
+// MAP VIEW
+// ============================================================================
+
+const resultsMap = document.getElementById('resultsMap');
+
+// Stores behind the rendered pins and list entries (by data-index)
+let mapPins = [];
+
+// ZIP code -> [lat, lng] from the bundled file, once it has loaded
+let zipCentroids = null;
+let zipCentroidsRequest = null;
+
+const MAP_WIDTH = 600;
+const MAP_HEIGHT = 400;
+const MAP_PADDING = 40;
+const MAP_RING_STEPS = [1, 2, 5, 10, 15, 25, 50, 100];
+const MILES_PER_DEGREE = 69;
+const METERS_PER_MILE = 1609.34;
+const MAP_PIN_SPREAD = 22;  // px between pins that share a ZIP centre
+
+/**
+ * Fetch the bundled ZIP centres once, then redraw the map with them
+ */
+function loadZipCentroids() {
+    if (zipCentroidsRequest) {
+        return zipCentroidsRequest;
+    }
+    
+    zipCentroidsRequest = fetch(CONFIG.ZIP_CENTROIDS_URL)
+        .then(response => {
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+            return response.json();
+        })
+        .then(data => {
+            zipCentroids = data.zips || {};
+            renderResultsMap(lastResultsData);
+        })
+        .catch(error => {
+            // Try again the next time the map is drawn
+            console.warn('ZIP centres unavailable:', error);
+            zipCentroidsRequest = null;
+        });
+    return zipCentroidsRequest;
+}
+
+/**
+ * Centre of a ZIP code from the bundled file, if it's loaded and known
+ */
+function getZipCoordinates(zipCode) {
+    const centroid = zipCentroids && zipCode ? zipCentroids[zipCode] : null;
+    return centroid ? { lat: centroid[0], lng: centroid[1] } : null;
+}
+
+/**
+ * Last 5-digit ZIP code in a location string ("12 Main St, Albany, NY 12207")
+ */
+function getLocationZip(location) {
+    const zips = (location || '').match(/\b\d{5}\b/g);
+    return zips ? zips[zips.length - 1] : null;
+}
+
+/**
+ * Latitude/longitude from a product or response, if the backend sent one
+ */
+function getCoordinates(source) {
+    if (!source) {
+        return null;
+    }
+    const lat = source.latitude ?? source.lat;
+    const lng = source.longitude ?? source.lng ?? source.lon;
+    return typeof lat === 'number' && typeof lng === 'number' ? { lat, lng } : null;
+}
+
+/**
+ * One entry per store location in the results, with how many items it
+ * has at the best price
+ */
+function getStoreLocations(visibleResults) {
+    const stores = {};
+    
+    state.cart.forEach(cartItem => {
+        const products = visibleResults[cartItem.name] || [];
+        const bestPrice = products.length > 0 ? Math.min(...products.map(p => toCents(getLineCost(p, cartItem)))) : null;
+        
+        products.forEach(product => {
+            const key = `${product.merchant}|${product.location || ''}`;
+            const coordinates = getCoordinates(product);
+            stores[key] = stores[key] || {
+                key,
+                merchant: product.merchant,
+                location: product.location || '',
+                distance: getProductDistance(product),
+                // Without coordinates, the centre of the store's ZIP is close enough to plot
+                coordinates: coordinates || getZipCoordinates(getLocationZip(product.location)),
+                approximate: !coordinates,
+                bestCount: 0,
+                productCount: 0
+            };
+            stores[key].productCount++;
+            if (toCents(getLineCost(product, cartItem)) === bestPrice) {
+                stores[key].bestCount++;
+            }
+        });
+    });
+    
+    return Object.values(stores);
+}
+
+/**
+ * Approximate miles between two coordinates (fine at city scale)
+ */
+function milesBetween(a, b) {
+    const north = (b.lat - a.lat) * MILES_PER_DEGREE;
+    const east = (b.lng - a.lng) * MILES_PER_DEGREE * Math.cos(a.lat * Math.PI / 180);
+    return Math.sqrt(north * north + east * east);
+}
+
+/**
+ * Smallest ring step that fits every known distance
+ */
+function getMapRadius(stores) {
+    const farthest = Math.max(1, ...stores.map(store => store.distance || 0));
+    return MAP_RING_STEPS.find(step => step >= farthest) || Math.ceil(farthest);
+}
+
+/**
+ * Web Mercator pixel position at a zoom level
+ */
+function toWorldPixels({ lat, lng }, zoom) {
+    const scale = 256 * Math.pow(2, zoom);
+    const sinLat = Math.sin(lat * Math.PI / 180);
+    return {
+        x: (lng + 180) / 360 * scale,
+        y: (0.5 - Math.log((1 + sinLat) / (1 - sinLat)) / (4 * Math.PI)) * scale
+    };
+}
+
+/**
+ * Map tiles covering the view, centred on `center` (SVG <image> markup)
+ */
+function renderMapTiles(center, zoom) {
+    const centerPixels = toWorldPixels(center, zoom);
+    const left = centerPixels.x - MAP_WIDTH / 2;
+    const top = centerPixels.y - MAP_HEIGHT / 2;
+    const tiles = [];
+    
+    for (let tileX = Math.floor(left / 256); tileX <= Math.floor((left + MAP_WIDTH) / 256); tileX++) {
+        for (let tileY = Math.floor(top / 256); tileY <= Math.floor((top + MAP_HEIGHT) / 256); tileY++) {
+            const url = CONFIG.MAP_TILE_URL.replace('{z}', zoom).replace('{x}', tileX).replace('{y}', tileY);
+            tiles.push(html`<image class="map-tile" href="${url}" x="${tileX * 256 - left}" y="${tileY * 256 - top}" width="256" height="256"/>`);
+        }
+    }
+    
+    return tiles;
+}
+
+/**
+ * Place stores with coordinates over the map tiles, at the largest zoom
+ * level that still fits `radius` miles around the ZIP. Stores on the same
+ * spot (usually a shared ZIP centre) fan out so each pin can be clicked.
+ */
+function layoutStores(stores, center, radius) {
+    const usableRadius = Math.min(MAP_WIDTH, MAP_HEIGHT) / 2 - MAP_PADDING;
+    const metersPerPixel = METERS_PER_MILE * radius / usableRadius;
+    const metersPerTilePixel = 156543.03 * Math.cos(center.lat * Math.PI / 180);
+    const zoom = Math.max(3, Math.min(16, Math.floor(Math.log2(metersPerTilePixel / metersPerPixel))));
+    const pixelsPerMile = METERS_PER_MILE * Math.pow(2, zoom) / metersPerTilePixel;
+    const centerPixels = toWorldPixels(center, zoom);
+    
+    const pins = stores.map(store => {
+        const pixels = toWorldPixels(store.coordinates, zoom);
+        return { ...store, x: MAP_WIDTH / 2 + pixels.x - centerPixels.x, y: MAP_HEIGHT / 2 + pixels.y - centerPixels.y };
+    });
+    
+    const spots = {};
+    pins.forEach(pin => {
+        const spot = `${Math.round(pin.x)},${Math.round(pin.y)}`;
+        spots[spot] = spots[spot] || [];
+        spots[spot].push(pin);
+    });
+    Object.values(spots).filter(stack => stack.length > 1).forEach(stack => {
+        stack.forEach((pin, index) => {
+            const angle = 2 * Math.PI * index / stack.length;
+            pin.x += MAP_PIN_SPREAD * Math.cos(angle);
+            pin.y += MAP_PIN_SPREAD * Math.sin(angle);
+        });
+    });
+    
+    return { pins, pixelsPerMile, zoom };
+}
+
+/**
+ * Colour level for a pin from how many best prices the store holds
+ */
+function getPinLevel(bestCount) {
+    if (bestCount === 0) {
+        return 0;
+    }
+    return bestCount === 1 ? 1 : bestCount <= 3 ? 2 : 3;
+}
+
+/**
+ * Render the store map for the visible results
+ */
+function renderResultsMap(data) {
+    if (!state.resultsView.showMap) {
+        resultsMap.classList.add('hidden');
+        renderHtml(resultsMap, '');
+        return;
+    }
+    
+    // Every allowed store stays on the map while one is selected
+    const mapResults = {};
+    Object.keys(state.results).forEach(name => {
+        mapResults[name] = state.results[name].filter(product => isProductAllowed(product) && !state.resultsView.hiddenMerchants.includes(product.merchant));
+    });
+    
+    // Stores and the searched ZIP without coordinates are placed by ZIP
+    // from the bundled file, which is fetched the first time it's needed
+    if (!zipCentroids) {
+        loadZipCentroids();
+    }
+    
+    const stores = getStoreLocations(mapResults);
+    const center = getCoordinates(data.zip_location) || getZipCoordinates(data.zip_code || state.zipCode);
+    
+    // A store with neither coordinates nor a known ZIP has no real position,
+    // so it's listed under the map rather than plotted
+    const placed = center ? stores.filter(store => store.coordinates) : [];
+    const unplaced = stores.filter(store => !placed.includes(store));
+    placed.forEach(store => {
+        if (store.distance === null) {
+            store.distance = milesBetween(center, store.coordinates);
+        }
+    });
+    
+    const activeMerchant = state.resultsView.merchant;
+    const radius = getMapRadius(placed);
+    const { pins, pixelsPerMile, zoom } = placed.length > 0
+        ? layoutStores(placed, center, radius)
+        : { pins: [], pixelsPerMile: 0, zoom: null };
+    const rings = MAP_RING_STEPS.filter(step => step <= radius && step * pixelsPerMile >= 24);
+    
+    // Offline, the distance rings are the whole base layer
+    const showTiles = navigator.onLine;
+    
+    resultsMap.classList.remove('hidden');
+    renderHtml(resultsMap, html`
+        ${pins.length > 0 && html`
+            <div class="map-frame">
+                <svg class="map-canvas" viewBox="0 0 ${MAP_WIDTH} ${MAP_HEIGHT}" role="img" aria-label="Map of stores around ZIP ${state.zipCode || ''}">
+                    <rect class="map-background" width="${MAP_WIDTH}" height="${MAP_HEIGHT}"/>
+                    ${showTiles && renderMapTiles(center, zoom)}
+                    ${rings.map(step => html`
+                        <circle class="map-ring" cx="${MAP_WIDTH / 2}" cy="${MAP_HEIGHT / 2}" r="${step * pixelsPerMile}"/>
+                        <text class="map-ring-label" x="${MAP_WIDTH / 2 + 4}" y="${MAP_HEIGHT / 2 - step * pixelsPerMile - 4}">${step} mi</text>
+                    `)}
+                    <g class="map-home">
+                        <circle cx="${MAP_WIDTH / 2}" cy="${MAP_HEIGHT / 2}" r="7"/>
+                        <text x="${MAP_WIDTH / 2}" y="${MAP_HEIGHT / 2 + 22}">${state.zipCode || 'You'}</text>
+                    </g>
+                    ${pins.map((pin, index) => html`
+                        <g class="map-pin level-${getPinLevel(pin.bestCount)} ${pin.merchant === activeMerchant ? 'active' : ''}" data-index="${index}" transform="translate(${pin.x.toFixed(1)} ${pin.y.toFixed(1)})">
+                            <title>${pin.merchant}${pin.location ? ` - ${pin.location}` : ''}${pin.approximate ? ' (placed at its ZIP)' : ''}: ${pin.bestCount} best price${pin.bestCount !== 1 ? 's' : ''}</title>
+                            <circle r="14"/>
+                            <text class="map-pin-count" dy="4">${pin.bestCount}</text>
+                            <text class="map-pin-label" dy="28">${pin.merchant}</text>
+                        </g>
+                    `)}
+                </svg>
+                ${showTiles
+                    ? html`<a class="map-attribution" href="${CONFIG.MAP_ATTRIBUTION_URL}" target="_blank" rel="noopener">© OpenStreetMap contributors</a>`
+                    : html`<span class="map-offline">Offline - street map unavailable</span>`}
+            </div>
+        `}
+        ${unplaced.length > 0 && html`
+            <div class="map-unplaced">
+                <p class="map-unplaced-title">
+                    ${pins.length > 0 ? 'Not on the map (no coordinates or ZIP for these stores)' : 'No store coordinates or ZIP codes in these results, so there is nothing to plot'}
+                </p>
+                <ul class="map-unplaced-list">
+                    ${unplaced.map((store, index) => html`
+                        <li>
+                            <button class="map-store ${store.merchant === activeMerchant ? 'active' : ''}" data-index="${pins.length + index}" aria-pressed="${store.merchant === activeMerchant}">
+                                <i class="map-swatch level-${getPinLevel(store.bestCount)}"></i>
+                                <span class="map-store-name">${store.merchant}</span>
+                                ${store.location && html`<span class="map-store-detail">${store.location}</span>`}
+                                ${store.distance !== null && html`<span class="map-store-detail">${store.distance.toFixed(1)} mi</span>`}
+                                <span class="map-store-detail">${store.bestCount} best price${store.bestCount !== 1 ? 's' : ''}</span>
+                            </button>
+                        </li>
+                    `)}
+                </ul>
+            </div>
+        `}
+        <div class="map-legend">
+            <span><i class="map-swatch level-3"></i>4+ best prices</span>
+            <span><i class="map-swatch level-2"></i>2-3</span>
+            <span><i class="map-swatch level-1"></i>1</span>
+            <span><i class="map-swatch level-0"></i>None</span>
+            ${activeMerchant && html`<button class="btn-text map-clear">Show all stores</button>`}
+        </div>
+    `);
+    
+    // Offline or blocked tiles leave the rings on a plain background
+    resultsMap.querySelectorAll('.map-tile').forEach(tile => {
+        tile.addEventListener('error', () => tile.remove());
+    });
+    
+    mapPins = [...pins, ...unplaced];
+}
+
+resultsMap.addEventListener('click', (e) => {
+    if (e.target.closest('.map-clear')) {
+        state.resultsView.merchant = '';
+        refreshResults();
+        return;
+    }
+    
+    const pin = e.target.closest('.map-pin, .map-store');
+    if (!pin) {
+        return;
+    }
+    
+    // Clicking the selected store again clears the filter
+    const merchant = mapPins[pin.dataset.index].merchant;
+    state.resultsView.merchant = state.resultsView.merchant === merchant ? '' : merchant;
+    refreshResults();
+});
+
+// ============================================================================
+// TRIP OPTIMIZER
+// ============================================================================
+
+const tripPlannerDiv = document.getElementById('tripPlanner');
+
+// Plans for the cart and visible results they were built from, so re-renders
+// and checklist ticks don't repeat the search over store combinations
+let tripPlanCache = { key: null, plans: [] };
+
+/**
+ * Cheapest line cost per merchant for each cart item:
+ * { merchant: { itemName: { product, cost } } }
+ */
+function getMerchantOffers(results) {
+    const offers = {};
+    
+    state.cart.forEach(cartItem => {
+        (results[cartItem.name] || []).forEach(product => {
+            const cost = getLineCost(product, cartItem);
+            offers[product.merchant] = offers[product.merchant] || {};
+            const current = offers[product.merchant][cartItem.name];
+            if (!current || cost < current.cost) {
+                offers[product.merchant][cartItem.name] = { product, cost };
+            }
+        });
+    });
+    
+    return offers;
+}
+
+/**
+ * Buy every item at the cheapest of the given merchants
+ */
+function planForMerchants(merchants, offers) {
+    const stores = {};
+    const missing = [];
+    let total = 0;
+    
+    state.cart.forEach(cartItem => {
+        let best = null;
+        merchants.forEach(merchant => {
+            const offer = offers[merchant][cartItem.name];
+            if (offer && (!best || offer.cost < best.cost)) {
+                best = { merchant, ...offer };
+            }
+        });
+        
+        if (!best) {
+            missing.push(cartItem.name);
+            return;
+        }
+        
+        stores[best.merchant] = stores[best.merchant] || [];
+        stores[best.merchant].push({ name: cartItem.name, product: best.product, cost: best.cost });
+        total += best.cost;
+    });
+    
+    return {
+        stores: Object.keys(stores).map(merchant => ({ merchant, items: stores[merchant] })),
+        missing,
+        total
+    };
+}
+
+/**
+ * Every combination of `size` elements from `items`
+ */
+function combinations(items, size) {
+    if (size === 0) {
+        return [[]];
+    }
+    const result = [];
+    items.forEach((item, index) => {
+        combinations(items.slice(index + 1), size - 1).forEach(rest => {
+            result.push([item, ...rest]);
+        });
+    });
+    return result;
+}
+
+/**
+ * Whether plan a beats plan b (more items covered, then cheaper)
+ */
+function isBetterPlan(a, b) {
+    if (a.missing.length !== b.missing.length) {
+        return a.missing.length < b.missing.length;
+    }
+    return a.total < b.total;
+}
+
+/**
+ * Build trip plans: the cheapest plan using at most N stores for
+ * N = 1..MAX_TRIP_STORES, plus the unrestricted cheapest-overall plan.
+ */
+function buildTripPlans(results) {
+    const offers = getMerchantOffers(results);
+    const merchants = Object.keys(offers);
+    if (merchants.length === 0) {
+        return [];
+    }
+    
+    const cheapest = { ...planForMerchants(merchants, offers), label: 'Cheapest overall', isCheapest: true };
+    const plans = [];
+    
+    for (let size = 1; size <= Math.min(CONFIG.MAX_TRIP_STORES, merchants.length); size++) {
+        let best = null;
+        combinations(merchants, size).forEach(combo => {
+            const plan = planForMerchants(combo, offers);
+            if (!best || isBetterPlan(plan, best)) {
+                best = plan;
+            }
+        });
+        
+        // Once N stores match the cheapest overall plan, more stores can't help
+        if (best.missing.length === cheapest.missing.length && toCents(best.total) === toCents(cheapest.total)) {
+            break;
+        }
+        plans.push({ ...best, label: `${size} store${size > 1 ? 's' : ''}` });
+    }
+    
+    plans.push(cheapest);
+    return plans;
+}
+
+/**
+ * Trip plans for the visible results, rebuilt only when they or the cart change
+ */
+function getTripPlans() {
+    const results = getVisibleResults(state.results);
+    const key = JSON.stringify([state.cart, results]);
+    if (key !== tripPlanCache.key) {
+        tripPlanCache = { key, plans: buildTripPlans(results) };
+    }
+    return tripPlanCache.plans;
+}
+
+/**
+ * Index of the plan with the fewest stops that covers as many items as the cheapest plan
+ */
+function getFewestStopsIndex(plans) {
+    const cheapest = plans[plans.length - 1];
+    const index = plans.findIndex(plan => plan.missing.length === cheapest.missing.length);
+    return index === -1 ? plans.length - 1 : index;
+}
+
+/**
+ * Render the trip planner for the current results
+ */
+function renderTripPlanner() {
+    const plans = getTripPlans();
+    
+    if (plans.length === 0) {
+        renderHtml(tripPlannerDiv, '');
+        tripPlannerDiv.classList.add('hidden');
+        return;
+    }
+    
+    tripPlannerDiv.classList.remove('hidden');
+    state.tripPlanIndex = Math.min(state.tripPlanIndex, plans.length - 1);
+    
+    const selected = plans[state.tripPlanIndex];
+    const cheapest = plans[plans.length - 1];
+    const fewestIndex = getFewestStopsIndex(plans);
+    const extraCost = selected.total - cheapest.total;
+    
+    renderHtml(tripPlannerDiv, html`
+        <div class="trip-header">
+            <h2 class="summary-title">Plan Your Trip</h2>
+            <div class="trip-view-toggle">
+                <button class="trip-view-btn ${state.tripPlanIndex === plans.length - 1 ? 'active' : ''}" data-plan="${plans.length - 1}">
+                    Cheapest overall
+                </button>
+                <button class="trip-view-btn ${state.tripPlanIndex === fewestIndex ? 'active' : ''}" data-plan="${fewestIndex}">
+                    Fewest stops
+                </button>
+            </div>
+        </div>
+        <div class="trip-plans">
+            ${plans.map((plan, index) => html`
+                <button class="trip-plan-option ${index === state.tripPlanIndex ? 'active' : ''}" data-plan="${index}">
+                    <span class="trip-plan-label">${plan.label}</span>
+                    <span class="trip-plan-total">$${plan.total.toFixed(2)}</span>
+                    <span class="trip-plan-meta">
+                        ${plan.stores.length} stop${plan.stores.length !== 1 ? 's' : ''}${plan.missing.length > 0 ? ` • ${plan.missing.length} missing` : ''}
+                    </span>
+                </button>
+            `)}
+        </div>
+        <p class="trip-plan-summary">
+            ${selected.stores.length} stop${selected.stores.length !== 1 ? 's' : ''} for $${selected.total.toFixed(2)}${extraCost > 0.005 ? ` (+$${extraCost.toFixed(2)} vs. cheapest overall)` : ''}
+        </p>
+        <div class="trip-stores">
+            ${selected.stores.map(store => html`
+                <div class="trip-store">
+                    <div class="trip-store-header">
+                        <span class="trip-store-name">${store.merchant}</span>
+                        <span class="trip-store-total">$${store.items.reduce((sum, item) => sum + item.cost, 0).toFixed(2)}</span>
+                    </div>
+                    ${store.items.map(item => html`
+                        <div class="trip-store-item">
+                            <span>${item.name}</span>
+                            <span>$${item.cost.toFixed(2)}</span>
+                        </div>
+                    `)}
+                </div>
+            `)}
+        </div>
+        ${selected.missing.length > 0 && html`
+            <p class="trip-missing">Not available at these stores: ${selected.missing.join(', ')}</p>
+        `}
+    `);
+}
+
+/**
+ * The trip plan picked in the planner (everything missing if there are no results)
+ */
+function getSelectedTripPlan() {
+    const plans = getTripPlans();
+    return plans[Math.min(state.tripPlanIndex, plans.length - 1)]
+        || { stores: [], missing: state.cart.map(item => item.name), total: 0 };
+}
+
+/**
+ * Select a trip plan by index
+ */
+function selectTripPlan(index) {
+    state.tripPlanIndex = index;
+    renderTripPlanner();
+    renderChecklist();
+}
+
+tripPlannerDiv.addEventListener('click', (e) => {
+    const button = e.target.closest('[data-plan]');
+    if (button) {
+        selectTripPlan(Number(button.dataset.plan));
+    }
+});
+
+// ============================================================================
+// EXPORT & SHARING
+// ============================================================================
+
+const exportCsvBtn = document.getElementById('exportCsvBtn');
+const printListBtn = document.getElementById('printListBtn');
+const shareLinkBtn = document.getElementById('shareLinkBtn');
+const printListDiv = document.getElementById('printList');
+
+/**
+ * Quote a CSV field when it contains a comma, quote or newline. Text that
+ * a spreadsheet would run as a formula gets a leading ' so it stays text.
+ */
+function toCsvField(value) {
+    let text = value === null || value === undefined ? '' : String(value);
+    if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+        text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * One row per returned product, cheapest first within each item
+ */
+function buildResultsCsv(results) {
+    const rows = [['Item', 'Quantity', 'Unit', 'Product', 'Price', 'Unit Price', 'Line Total', 'Merchant', 'Location', 'Best Price']];
+    
+    state.cart.forEach(cartItem => {
+        const products = sortByLineCost(results[cartItem.name] || [], cartItem);
+        const bestCost = products.length > 0 ? toCents(getLineCost(products[0], cartItem)) : null;
+        
+        products.forEach(product => {
+            const unitPrice = getUnitPrice(product);
+            const lineCost = getLineCost(product, cartItem);
+            rows.push([
+                cartItem.name,
+                cartItem.quantity,
+                cartItem.unit,
+                product.name || product.title || '',
+                product.price.toFixed(2),
+                unitPrice ? formatUnitPrice(unitPrice) : '',
+                lineCost.toFixed(2),
+                product.merchant,
+                product.location || '',
+                toCents(lineCost) === bestCost ? 'yes' : ''
+            ]);
+        });
+        
+        if (products.length === 0) {
+            rows.push([cartItem.name, cartItem.quantity, cartItem.unit, 'No products found', '', '', '', '', '', '']);
+        }
+    });
+    
+    return rows.map(row => row.map(toCsvField).join(',')).join('\r\n');
+}
+
+/**
+ * Save generated text as a file download
+ */
+function downloadFile(filename, content, type) {
+    const url = URL.createObjectURL(new Blob([content], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+}
+
+/**
+ * Download every product found as a CSV
+ */
+function exportResultsCsv() {
+    const date = new Date().toISOString().slice(0, 10);
+    downloadFile(`pricefighter-${state.zipCode || 'results'}-${date}.csv`, buildResultsCsv(state.results), 'text/csv;charset=utf-8');
+}
+
+/**
+ * Fill the print-only shopping list from the selected trip plan, grouped by store
+ */
+function renderPrintList() {
+    const plan = getSelectedTripPlan();
+    const cartItemsByName = Object.fromEntries(state.cart.map(item => [item.name, item]));
+    
+    renderHtml(printListDiv, html`
+        <h1 class="print-title">Shopping List</h1>
+        <p class="print-meta">ZIP ${state.zipCode || '-'} • ${new Date().toLocaleDateString()} • Total $${plan.total.toFixed(2)}</p>
+        ${plan.stores.map(store => html`
+            <div class="print-store">
+                <h2 class="print-store-name">
+                    ${store.merchant}
+                    <span>$${store.items.reduce((sum, item) => sum + item.cost, 0).toFixed(2)}</span>
+                </h2>
+                ${store.items.map(item => {
+                    const cartItem = cartItemsByName[item.name];
+                    return html`
+                    <div class="print-item">
+                        <span class="print-checkbox"></span>
+                        <span class="print-item-name">
+                            ${item.name}${cartItem.quantity !== 1 || cartItem.unit ? ` (${formatQuantity(cartItem)})` : ''}
+                            <small>${item.product.name || item.product.title || ''}${item.product.location ? ` • ${item.product.location}` : ''}</small>
+                        </span>
+                        <span class="print-item-price">$${item.cost.toFixed(2)}</span>
+                    </div>
+                `;
+                })}
+            </div>
+        `)}
+        ${plan.missing.length > 0 && html`<p class="print-missing">Not found: ${plan.missing.join(', ')}</p>`}
+    `);
+}
+
+/**
+ * Build a link that reopens these results, or re-runs the search if the job is gone
+ */
+function buildShareUrl() {
+    const params = new URLSearchParams();
+    if (state.zipCode) {
+        params.set('zip', state.zipCode);
+    }
+    params.set('cart', JSON.stringify(state.cart.map(item => [item.name, item.quantity, item.unit])));
+    
+    return `${window.location.origin}${getStepPath(state.jobId ? 4 : 1)}?${params}`;
+}
+
+/**
+ * Copy the share link, falling back to a prompt where the clipboard is unavailable
+ */
+async function copyShareLink() {
+    const url = buildShareUrl();
+    
+    try {
+        await navigator.clipboard.writeText(url);
+        showToast('Share link copied to clipboard');
+    } catch (error) {
+        window.prompt('Copy this link to share your results:', url);
+    }
+}
+
+/**
+ * Read a shared cart, ZIP and job ID from the page URL (null if none)
+ */
+function readSharedLink() {
+    const params = new URLSearchParams(window.location.search);
+    if (!params.has('cart')) {
+        return null;
+    }
+    
+    let entries = [];
+    try {
+        entries = JSON.parse(params.get('cart') || '[]');
+    } catch (error) {
+        console.warn('Ignoring malformed shared cart:', error);
+    }
+    
+    const cart = (Array.isArray(entries) ? entries : [])
+        .filter(entry => Array.isArray(entry) && typeof entry[0] === 'string' && entry[0].trim())
+        .slice(0, CONFIG.MAX_ITEMS)
+        .map(([name, quantity, unit]) => normalizeCartItem({
+            name: name.trim().slice(0, 50),
+            quantity: Number(quantity) > 0 ? Number(quantity) : 1,
+            unit: CART_UNITS.includes(unit) ? unit : ''
+        }));
+    
+    const zipCode = params.get('zip') || '';
+    
+    return {
+        cart,
+        zipCode: /^\d{5}$/.test(zipCode) ? zipCode : null,
+        jobId: parseRoute(window.location.pathname).jobId
+    };
+}
+
+/**
+ * Whether to open a shared list - asks first when it would replace a
+ * saved list that has items
+ */
+function confirmSharedLink() {
+    const saved = loadState();
+    const savedCount = saved && Array.isArray(saved.cart) ? saved.cart.length : 0;
+    if (savedCount === 0) {
+        return true;
+    }
+    return confirm(`Replace your current list (${savedCount} item${savedCount !== 1 ? 's' : ''}) with the shared one?`);
+}
+
+/**
+ * Replace the session with a shared list. Shows the shared job's results
+ * if the backend still has them, otherwise opens the list ready to search.
+ */
+async function openSharedLink(shared) {
+    state.cart = shared.cart;
+    state.zipCode = shared.zipCode;
+    state.pendingSuggestions = [];
+    state.results = {};
+    state.followUpResults = {};
+    state.jobId = null;
+    zipInput.value = state.zipCode || '';
+    updateActionButtons();
+    renderCart();
+    renderPendingSuggestions();
+    showToast('Opened a shared shopping list');
+    
+    if (shared.jobId) {
+        try {
+            const response = await fetch(`${CONFIG.API_BASE_URL}/api/results/${shared.jobId}`);
+            const data = response.ok ? await response.json() : null;
+            if (data && data.status !== 'failed') {
+                state.jobId = shared.jobId;
+                saveState();
+                resumeJob();
+                return;
+            }
+        } catch (error) {
+            console.warn('Shared job unavailable, searching again:', error);
+        }
+    }
+    
+    // Searching is left to the user - opening a link shouldn't start a job
+    saveState();
+    goToStep(state.cart.length > 0 ? 2 : 1);
+}
+
+exportCsvBtn.addEventListener('click', exportResultsCsv);
+
+printListBtn.addEventListener('click', () => {
+    renderPrintList();
+    window.print();
+});
+
+shareLinkBtn.addEventListener('click', copyShareLink);
+
+// ============================================================================
+// IN-STORE CHECKLIST
+// ============================================================================
+
+// The selected trip plan as a full-screen, per-store list to tick off in the
+// aisles. Ticks and whether it's open are saved with the session, so they
+// survive the browser being closed while switching apps.
+
+const checklistBtn = document.getElementById('checklistBtn');
+const checklistDiv = document.getElementById('checklist');
+const checklistTitle = document.getElementById('checklistTitle');
+const checklistSummary = document.getElementById('checklistSummary');
+const checklistStores = document.getElementById('checklistStores');
+const resetChecklistBtn = document.getElementById('resetChecklistBtn');
+const closeChecklistBtn = document.getElementById('closeChecklistBtn');
+
+// Screen wake lock held while the checklist is open (null when released)
+let wakeLock = null;
+
+/**
+ * Keep the screen on while shopping, where the browser allows it
+ */
+async function requestWakeLock() {
+    if (!('wakeLock' in navigator) || wakeLock) {
+        return;
+    }
+    
+    try {
+        wakeLock = await navigator.wakeLock.request('screen');
+        // The browser drops the lock when the page is hidden
+        wakeLock.addEventListener('release', () => {
+            wakeLock = null;
+        });
+    } catch (error) {
+        // e.g. battery saver - the checklist works without it
+        console.warn('Could not keep the screen on:', error);
+    }
+}
+
+/**
+ * Let the screen sleep again
+ */
+function releaseWakeLock() {
+    if (wakeLock) {
+        wakeLock.release();
+        wakeLock = null;
+    }
+}
+
+/**
+ * Render the checklist from the selected trip plan (hidden unless open)
+ */
+function renderChecklist() {
+    checklistDiv.classList.toggle('hidden', !state.checklist.open);
+    if (!state.checklist.open) {
+        return;
+    }
+    
+    const plan = getSelectedTripPlan();
+    const checked = new Set(state.checklist.checked);
+    const cartItemsByName = Object.fromEntries(state.cart.map(item => [item.name, item]));
+    const items = plan.stores.flatMap(store => store.items);
+    const checkedCount = items.filter(item => checked.has(item.name)).length;
+    const getRemainingCost = storeItems => storeItems
+        .filter(item => !checked.has(item.name))
+        .reduce((sum, item) => sum + item.cost, 0);
+    
+    renderHtml(checklistSummary, html`
+        ${checkedCount} of ${items.length} item${items.length !== 1 ? 's' : ''} in the basket •
+        <strong>$${getRemainingCost(items).toFixed(2)}</strong> left to spend
+    `);
+    
+    renderHtml(checklistStores, html`
+        ${plan.stores.map(store => html`
+            <div class="checklist-store">
+                <h3 class="checklist-store-name">
+                    ${store.merchant}
+                    <span>$${getRemainingCost(store.items).toFixed(2)} left</span>
+                </h3>
+                ${store.items.map(item => {
+                    const cartItem = cartItemsByName[item.name];
+                    const isChecked = checked.has(item.name);
+                    return html`
+                    <label class="checklist-item ${isChecked ? 'checked' : ''}">
+                        <input type="checkbox" data-item="${item.name}" ${isChecked ? 'checked' : ''}>
+                        <span class="checklist-item-name">
+                            ${item.name}${cartItem && (cartItem.quantity !== 1 || cartItem.unit) ? ` (${formatQuantity(cartItem)})` : ''}
+                            <small>${item.product.name || item.product.title || ''}${item.product.location ? ` • ${item.product.location}` : ''}</small>
+                        </span>
+                        <span class="checklist-item-price">$${item.cost.toFixed(2)}</span>
+                    </label>
+                `;
+                })}
+            </div>
+        `)}
+        ${plan.missing.length > 0 && html`<p class="trip-missing">Not found: ${plan.missing.join(', ')}</p>`}
+        ${items.length > 0 && checkedCount === items.length && html`<p class="checklist-done">🎉 Everything's in the basket!</p>`}
+    `);
+}
+
+/**
+ * Show the checklist over the results
+ */
+function openChecklist() {
+    state.checklist.open = true;
+    saveState();
+    renderChecklist();
+    requestWakeLock();
+    checklistTitle.focus();
+}
+
+/**
+ * Back to the results
+ */
+function closeChecklist() {
+    state.checklist.open = false;
+    saveState();
+    renderChecklist();
+    releaseWakeLock();
+    checklistBtn.focus();
+}
+
+/**
+ * Tick an item off (or back on) and keep focus on its checkbox
+ */
+function setChecklistItem(name, isChecked) {
+    state.checklist.checked = state.checklist.checked.filter(checkedName => checkedName !== name);
+    if (isChecked) {
+        state.checklist.checked.push(name);
+    }
+    saveState();
+    renderChecklist();
+    
+    const checkbox = [...checklistStores.querySelectorAll('[data-item]')].find(input => input.dataset.item === name);
+    if (checkbox) {
+        checkbox.focus();
+    }
+}
+
+checklistBtn.addEventListener('click', openChecklist);
+closeChecklistBtn.addEventListener('click', closeChecklist);
+
+resetChecklistBtn.addEventListener('click', () => {
+    state.checklist.checked = [];
+    saveState();
+    renderChecklist();
+});
+
+checklistStores.addEventListener('change', (e) => {
+    if (e.target.dataset.item !== undefined) {
+        setChecklistItem(e.target.dataset.item, e.target.checked);
+    }
+});
+
+checklistDiv.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape') {
+        closeChecklist();
+    }
+});
+
+// The lock is released whenever the page is hidden - take it back on return
+document.addEventListener('visibilitychange', () => {
+    if (document.visibilityState === 'visible' && state.checklist.open && state.currentStep === 4) {
+        requestWakeLock();
+    }
+});
+
+// ============================================================================
+// PRICE HISTORY & ALERTS
+// ============================================================================
+
+const priceAlertsDiv = document.getElementById('priceAlerts');
+
+// Alerts raised by the last completed search
+let priceAlerts = [];
+
+/**
+ * Read a JSON object from localStorage ({} if missing or corrupt)
+ */
+function readStoredObject(key) {
+    try {
+        const parsed = JSON.parse(localStorage.getItem(key));
+        return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : {};
+    } catch (error) {
+        return {};
+    }
+}
+
+/**
+ * Write a JSON object to localStorage
+ */
+function writeStoredObject(key, value) {
+    try {
+        localStorage.setItem(key, JSON.stringify(value));
+    } catch (error) {
+        console.warn(`Could not save ${key}:`, error);
+    }
+}
+
+/**
+ * History series key: one per item and ZIP
+ */
+function getPriceSeriesKey(itemName, zipCode) {
+    return `${normalizeItemText(itemName)}|${zipCode || ''}`;
+}
+
+/**
+ * Record the cheapest package price per merchant for every item in a
+ * completed job, and return alerts for items that beat their target.
+ * History: { seriesKey: { updatedAt, points: [{ t, jobId, prices: { merchant: price } }] } }
+ */
+function recordPriceHistory(data, jobId) {
+    const history = readStoredObject(CONFIG.PRICE_HISTORY_KEY);
+    const targets = readStoredObject(CONFIG.PRICE_TARGETS_KEY);
+    const zipCode = data.zip_code || state.zipCode;
+    const now = Date.now();
+    const alerts = [];
+    
+    Object.keys(data.results || {}).forEach(itemName => {
+        const products = data.results[itemName];
+        if (products.length === 0) {
+            return;
+        }
+        
+        const key = getPriceSeriesKey(itemName, zipCode);
+        const series = history[key] || { points: [] };
+        
+        // Reloading a finished job shouldn't record it (or alert) twice
+        if (jobId && series.points.some(point => point.jobId === jobId)) {
+            return;
+        }
+        
+        const prices = {};
+        products.forEach(product => {
+            if (prices[product.merchant] === undefined || product.price < prices[product.merchant]) {
+                prices[product.merchant] = product.price;
+            }
+        });
+        
+        series.points = [...series.points, { t: now, jobId, prices }].slice(-CONFIG.MAX_PRICE_POINTS);
+        series.updatedAt = now;
+        history[key] = series;
+        
+        // Only searches after the target was set can trigger it
+        const target = targets[normalizeItemText(itemName)];
+        const best = products.reduce((cheapest, product) => product.price < cheapest.price ? product : cheapest);
+        if (target && target.setAt < now && best.price <= target.price) {
+            alerts.push({ itemName, price: best.price, merchant: best.merchant, target: target.price });
+        }
+    });
+    
+    // Keep the most recently searched series
+    const keys = Object.keys(history).sort((a, b) => history[b].updatedAt - history[a].updatedAt);
+    keys.slice(CONFIG.MAX_PRICE_SERIES).forEach(key => delete history[key]);
+    writeStoredObject(CONFIG.PRICE_HISTORY_KEY, history);
+    
+    return alerts;
+}
+
+/**
+ * Best price from each recorded search for an item in the current ZIP, oldest first
+ */
+function getBestPriceHistory(itemName) {
+    const history = readStoredObject(CONFIG.PRICE_HISTORY_KEY);
+    const series = history[getPriceSeriesKey(itemName, state.zipCode)];
+    if (!series) {
+        return [];
+    }
+    
+    return series.points
+        .map(point => ({ t: point.t, price: Math.min(...Object.values(point.prices)) }))
+        .filter(point => Number.isFinite(point.price));
+}
+
+/**
+ * Inline SVG sparkline of best prices
+ */
+function renderSparkline(points) {
+    const width = 80;
+    const height = 24;
+    const prices = points.map(point => point.price);
+    const min = Math.min(...prices);
+    const range = Math.max(...prices) - min || 1;
+    const coords = prices.map((price, index) => [
+        (index / (prices.length - 1)) * (width - 4) + 2,
+        height - 2 - ((price - min) / range) * (height - 4)
+    ]);
+    const [lastX, lastY] = coords[coords.length - 1];
+    
+    return html`
+        <svg class="sparkline" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">
+            <polyline points="${coords.map(([x, y]) => `${x.toFixed(1)},${y.toFixed(1)}`).join(' ')}"/>
+            <circle cx="${lastX.toFixed(1)}" cy="${lastY.toFixed(1)}" r="2.5"/>
+        </svg>
+    `;
+}
+
+/**
+ * Trend sparkline, change since the previous search and target button for a card
+ */
+function renderPriceTrend(cartItem, cartIndex) {
+    const points = getBestPriceHistory(cartItem.name);
+    const target = readStoredObject(CONFIG.PRICE_TARGETS_KEY)[normalizeItemText(cartItem.name)];
+    let trendHTML = '';
+    
+    if (points.length >= 2) {
+        const change = points[points.length - 1].price - points[points.length - 2].price;
+        const changeText = Math.abs(change) < 0.005
+            ? 'No change'
+            : `${change < 0 ? '↓' : '↑'} $${Math.abs(change).toFixed(2)}`;
+        trendHTML = html`
+            <span class="price-trend ${change < -0.005 ? 'down' : change > 0.005 ? 'up' : ''}" title="Best price over your last ${points.length} searches in this ZIP">
+                ${renderSparkline(points)}
+                <span class="price-trend-change">${changeText}</span>
+            </span>
+        `;
+    }
+    
+    return html`
+        <span class="price-tools">
+            ${trendHTML}
+            <button class="price-target-btn" data-action="set-target" data-cart-index="${cartIndex}" title="Get an alert when a search finds this item at or below a price">
+                ${target ? `🎯 $${target.price.toFixed(2)}` : '🎯 Set target'}
+            </button>
+        </span>
+    `;
+}
+
+/**
+ * Ask for a target price for a cart item (empty clears it)
+ */
+function setPriceTarget(cartIndex) {
+    const cartItem = state.cart[cartIndex];
+    if (!cartItem) {
+        return;
+    }
+    
+    const targets = readStoredObject(CONFIG.PRICE_TARGETS_KEY);
+    const key = normalizeItemText(cartItem.name);
+    const current = targets[key];
+    const input = prompt(`Alert me when "${cartItem.name}" costs at most ($, leave empty to remove):`, current ? current.price.toFixed(2) : '');
+    if (input === null) {
+        return;
+    }
+    
+    const price = parseFloat(input.replace('$', ''));
+    if (!input.trim()) {
+        delete targets[key];
+        showToast('Target removed', 1500);
+    } else if (price > 0) {
+        targets[key] = { price, setAt: Date.now() };
+        showToast(`We'll let you know when ${cartItem.name} is $${price.toFixed(2)} or less`, 2000);
+    } else {
+        showToast('Enter a price like 3.49');
+        return;
+    }
+    
+    writeStoredObject(CONFIG.PRICE_TARGETS_KEY, targets);
+    refreshResults();
+}
+
+/**
+ * Show alerts for items that hit their target in the last search
+ */
+function renderPriceAlerts() {
+    if (priceAlerts.length === 0) {
+        renderHtml(priceAlertsDiv, '');
+        priceAlertsDiv.classList.add('hidden');
+        return;
+    }
+    
+    renderHtml(priceAlertsDiv, html`
+        <div class="price-alerts-header">
+            <strong>🎯 Price ${priceAlerts.length === 1 ? 'target' : 'targets'} hit</strong>
+            <button class="btn-text price-alerts-dismiss">Dismiss</button>
+        </div>
+        ${priceAlerts.map(alert => html`
+            <div class="price-alert">
+                ${alert.itemName} is $${alert.price.toFixed(2)} at ${alert.merchant}, at or below your $${alert.target.toFixed(2)} target
+            </div>
+        `)}
+    `);
+    priceAlertsDiv.classList.remove('hidden');
+    showToast(priceAlerts.length === 1
+        ? `🎯 ${priceAlerts[0].itemName} hit your target price!`
+        : `🎯 ${priceAlerts.length} items hit your target prices!`, 4000);
+}
+
+priceAlertsDiv.addEventListener('click', (e) => {
+    if (e.target.closest('.price-alerts-dismiss')) {
+        priceAlerts = [];
+        renderPriceAlerts();
+    }
+});
+
+// ============================================================================
+// SAVED LISTS & SEARCH HISTORY
+// ============================================================================
+
+const saveListBtn = document.getElementById('saveListBtn');
+const savedListsDiv = document.getElementById('savedLists');
+const searchHistoryDiv = document.getElementById('searchHistory');
+const clearHistoryBtn = document.getElementById('clearHistoryBtn');
+
+/**
+ * Read an array from localStorage (empty if missing or corrupt)
+ */
+function readStoredArray(key) {
+    try {
+        const parsed = JSON.parse(localStorage.getItem(key));
+        return Array.isArray(parsed) ? parsed : [];
+    } catch (error) {
+        return [];
+    }
+}
+
+/**
+ * Write an array to localStorage
+ */
+function writeStoredArray(key, value) {
+    try {
+        localStorage.setItem(key, JSON.stringify(value));
+    } catch (error) {
+        console.warn(`Could not save ${key}:`, error);
+    }
+}
+
+/**
+ * Add several items to the cart, applying the same rules as addToCart
+ */
+function addItemsToCart(items) {
+    let added = 0;
+    let skipped = 0;
+
+    items.forEach(item => {
+        const isDuplicate = state.cart.some(cartItem => cartItem.name === item.name);
+        if (isDuplicate || state.cart.length >= CONFIG.MAX_ITEMS) {
+            skipped++;
+            return;
+        }
+        state.cart.push(normalizeCartItem(item));
+        added++;
+    });
+
+    saveState();
+    renderCart();
+    return { added, skipped };
+}
+
+/**
+ * Save the current cart under a name
+ */
+function saveCurrentList() {
+    if (state.cart.length === 0) {
+        showToast('Add some items before saving a list');
+        return;
+    }
+
+    const name = prompt('Name this list:', 'Weekly groceries');
+    if (!name || !name.trim()) {
+        return;
+    }
+
+    const lists = readStoredArray(CONFIG.SAVED_LISTS_KEY);
+    lists.unshift({
+        id: Date.now(),
+        name: name.trim(),
+        items: state.cart.map(item => ({ ...item })),
+        updatedAt: new Date().toISOString()
+    });
+    writeStoredArray(CONFIG.SAVED_LISTS_KEY, lists);
+
+    renderSavedLists();
+    showToast(`Saved "${name.trim()}"`, 1500);
+}
+
+/**
+ * Load a saved list into the cart
+ */
+function loadSavedList(id) {
+    const list = readStoredArray(CONFIG.SAVED_LISTS_KEY).find(l => l.id === id);
+    if (!list) {
+        return;
+    }
+
+    const { added, skipped } = addItemsToCart(list.items);
+    goToStep(1);
+    showToast(skipped > 0
+        ? `Added ${added} items (${skipped} skipped: duplicates or ${CONFIG.MAX_ITEMS}-item limit)`
+        : `Added ${added} items from "${list.name}"`);
+}
+
+/**
+ * Rename a saved list
+ */
+function renameSavedList(id) {
+    const lists = readStoredArray(CONFIG.SAVED_LISTS_KEY);
+    const list = lists.find(l => l.id === id);
+    if (!list) {
+        return;
+    }
+
+    const name = prompt('Rename list:', list.name);
+    if (!name || !name.trim()) {
+        return;
+    }
+
+    list.name = name.trim();
+    list.updatedAt = new Date().toISOString();
+    writeStoredArray(CONFIG.SAVED_LISTS_KEY, lists);
+    renderSavedLists();
+}
+
+/**
+ * Duplicate a saved list
+ */
+function duplicateSavedList(id) {
+    const lists = readStoredArray(CONFIG.SAVED_LISTS_KEY);
+    const index = lists.findIndex(l => l.id === id);
+    if (index === -1) {
+        return;
+    }
+
+    const original = lists[index];
+    lists.splice(index + 1, 0, {
+        id: Date.now(),
+        name: `${original.name} (copy)`,
+        items: original.items.map(item => ({ ...item })),
+        updatedAt: new Date().toISOString()
+    });
+    writeStoredArray(CONFIG.SAVED_LISTS_KEY, lists);
+    renderSavedLists();
+}
+
+/**
+ * Delete a saved list
+ */
+function deleteSavedList(id) {
+    const lists = readStoredArray(CONFIG.SAVED_LISTS_KEY);
+    const list = lists.find(l => l.id === id);
+    if (!list || !confirm(`Delete "${list.name}"?`)) {
+        return;
+    }
+
+    writeStoredArray(CONFIG.SAVED_LISTS_KEY, lists.filter(l => l.id !== id));
+    renderSavedLists();
+}
+
+/**
+ * Render saved lists UI
+ */
+function renderSavedLists() {
+    const lists = readStoredArray(CONFIG.SAVED_LISTS_KEY);
+
+    if (lists.length === 0) {
+        renderHtml(savedListsDiv, html`<p class="empty-subtext">No saved lists yet</p>`);
+        return;
+    }
+
+    renderHtml(savedListsDiv, lists.map(list => html`
+        <div class="saved-list-item" data-id="${list.id}">
+            <div class="saved-list-info">
+                <span class="saved-list-name">${list.name}</span>
+                <span class="saved-list-meta">${list.items.length} item${list.items.length !== 1 ? 's' : ''}</span>
+            </div>
+            <div class="saved-list-actions">
+                <button class="btn-text" data-action="load">Load</button>
+                <button class="btn-text" data-action="rename">Rename</button>
+                <button class="btn-text" data-action="duplicate">Duplicate</button>
+                <button class="btn-text" data-action="delete">Delete</button>
+            </div>
+        </div>
+    `));
+}
+
+/**
+ * Record a completed search in history (one entry per job)
+ */
+function recordSearchHistory(data) {
+    const results = data.results || {};
+    const history = readStoredArray(CONFIG.HISTORY_KEY).filter(entry => entry.jobId !== state.jobId);
+
+    history.unshift({
+        id: Date.now(),
+        jobId: state.jobId,
+        date: new Date().toISOString(),
+        items: state.cart.map(item => ({ ...item })),
+        zipCode: data.zip_code || state.zipCode,
+        prioritizeNearby: document.getElementById('prioritizeNearbyToggle').checked,
+        summary: {
+            basketTotal: getBasketTotal(results),
+            itemsFound: Object.keys(results).filter(item => results[item].length > 0).length,
+            totalItems: state.cart.length,
+            totalProducts: Object.values(results).reduce((sum, products) => sum + products.length, 0)
+        }
+    });
+
+    writeStoredArray(CONFIG.HISTORY_KEY, history.slice(0, CONFIG.MAX_HISTORY));
+    renderSearchHistory();
+}
+
+/**
+ * Re-run a past search with the same items and ZIP
+ */
+function rerunSearch(id) {
+    const entry = readStoredArray(CONFIG.HISTORY_KEY).find(e => e.id === id);
+    if (!entry) {
+        return;
+    }
+
+    state.cart = entry.items.slice(0, CONFIG.MAX_ITEMS).map(normalizeCartItem);
+    saveState();
+    renderCart();
+
+    zipInput.value = entry.zipCode;
+    updateActionButtons();
+    state.prioritizeNearby = entry.prioritizeNearby !== false;
+    prioritizeNearbyToggle.checked = state.prioritizeNearby;
+
+    submitCart();
+}
+
+/**
+ * Render search history UI
+ */
+function renderSearchHistory() {
+    const history = readStoredArray(CONFIG.HISTORY_KEY);
+    clearHistoryBtn.style.display = history.length > 0 ? 'block' : 'none';
+
+    if (history.length === 0) {
+        renderHtml(searchHistoryDiv, html`<p class="empty-subtext">Your completed searches will appear here</p>`);
+        return;
+    }
+
+    renderHtml(searchHistoryDiv, history.map(entry => html`
+        <div class="saved-list-item" data-id="${entry.id}">
+            <div class="saved-list-info">
+                <span class="saved-list-name">${entry.items.map(item => item.name).join(', ')}</span>
+                <span class="saved-list-meta">
+                    ${new Date(entry.date).toLocaleDateString()} • ZIP ${entry.zipCode} •
+                    ${entry.summary.itemsFound}/${entry.summary.totalItems} found, ${entry.summary.totalProducts} products
+                    ${entry.summary.basketTotal ? `• $${entry.summary.basketTotal.toFixed(2)}` : ''}
+                </span>
+            </div>
+            <div class="saved-list-actions">
+                <button class="btn-text" data-action="rerun">Search again</button>
+            </div>
+        </div>
+    `));
+}
+
+saveListBtn.addEventListener('click', saveCurrentList);
+
+// Saved list buttons, by data-action
+const SAVED_LIST_ACTIONS = {
+    load: loadSavedList,
+    rename: renameSavedList,
+    duplicate: duplicateSavedList,
+    delete: deleteSavedList
+};
+
+savedListsDiv.addEventListener('click', (e) => {
+    const button = e.target.closest('[data-action]');
+    if (button) {
+        SAVED_LIST_ACTIONS[button.dataset.action](Number(button.closest('.saved-list-item').dataset.id));
+    }
+});
+
+searchHistoryDiv.addEventListener('click', (e) => {
+    const button = e.target.closest('[data-action="rerun"]');
+    if (button) {
+        rerunSearch(Number(button.closest('.saved-list-item').dataset.id));
+    }
+});
+
+clearHistoryBtn.addEventListener('click', () => {
+    if (confirm('Clear search history?')) {
+        writeStoredArray(CONFIG.HISTORY_KEY, []);
+        renderSearchHistory();
+    }
+});
+
+// Keep lists and history in sync with other tabs
+window.addEventListener('storage', (e) => {
+    if (e.key === CONFIG.SAVED_LISTS_KEY) {
+        renderSavedLists();
+    } else if (e.key === CONFIG.HISTORY_KEY) {
+        renderSearchHistory();
+    }
+});
+
+// ============================================================================
+// ROUTING
+// ============================================================================
+
+// Path for each wizard step; results also get /results/<jobId>
+const STEP_PATHS = { 1: '/', 2: '/location', 3: '/searching', 4: '/results' };
+const RESULTS_PATH_PATTERN = /^\/results\/([\w-]{1,64})\/?$/;
+
+// Until the initial route is settled, steps replace the entry we loaded on
+let routeReady = false;
+
+/**
+ * URL path for a step
+ */
+function getStepPath(stepNumber) {
+    if (stepNumber === 4 && state.jobId) {
+        return `${STEP_PATHS[4]}/${encodeURIComponent(state.jobId)}`;
+    }
+    return STEP_PATHS[stepNumber];
+}
+
+/**
+ * Parse a path into { step, jobId }. Unknown paths go to step 1.
+ */
+function parseRoute(pathname) {
+    const match = RESULTS_PATH_PATTERN.exec(pathname);
+    if (match) {
+        return { step: 4, jobId: match[1] };
+    }
+    
+    const path = pathname.replace(/\/+$/, '') || '/';
+    const step = Number(Object.keys(STEP_PATHS).find(key => STEP_PATHS[key] === path)) || 1;
+    return { step, jobId: null };
+}
+
+/**
+ * Push (or replace) the history entry for a step. Step 3 is transient, so
+ * leaving it replaces its entry - back from results returns to step 2.
+ */
+function updateRoute(stepNumber, replace = false) {
+    const path = getStepPath(stepNumber);
+    const historyState = { step: stepNumber, jobId: state.jobId };
+    
+    if (replace || !routeReady || state.currentStep === 3 || path === window.location.pathname) {
+        window.history.replaceState(historyState, '', path);
+    } else {
+        window.history.pushState(historyState, '', path);
+    }
+}
+
+/**
+ * Whether a job is currently being streamed or polled
+ */
+function isTrackingJob() {
+    return Boolean(state.eventSource || state.pollTimer);
+}
+
+/**
+ * Take over a job's items and ZIP when its results don't match our cart
+ */
+function adoptJob(jobId, data) {
+    cancelComparisons();
+    state.jobId = jobId;
+    state.followUpResults = {};
+    state.checklist = { open: false, checked: [] };
+    state.zipCode = data.zip_code || state.zipCode;
+    zipInput.value = state.zipCode || '';
+    
+    const names = Array.isArray(data.items) ? data.items : Object.keys(data.results || {});
+    if (names.length > 0 && names.some(name => !state.cart.some(item => item.name === name))) {
+        state.cart = names.slice(0, CONFIG.MAX_ITEMS).map(name => createCartItem(name));
+        renderCart();
+    }
+    
+    saveState();
+}
+
+/**
+ * Show the results for a job, fetching it if it isn't the one we have
+ */
+async function openJobRoute(jobId) {
+    if (jobId === state.jobId && !isTrackingJob() && Object.keys(state.results).length > 0) {
+        goToStep(4, { fromHistory: true });
+        return;
+    }
+    
+    stopTracking();
+    
+    try {
+        const response = await fetch(`${CONFIG.API_BASE_URL}/api/results/${encodeURIComponent(jobId)}`);
+        if (!response.ok) {
+            throw await toApiError(response);
+        }
+        
+        const data = await response.json();
+        if (data.status === 'failed') {
+            throw new Error('Job failed');
+        }
+        
+        adoptJob(jobId, data);
+        if (data.status === 'complete') {
+            handleJobComplete(data);
+        } else {
+            resumeJob();
+        }
+    } catch (error) {
+        console.error('Error loading job:', error);
+        showToast('Those results are no longer available.');
+        goToStep(state.cart.length > 0 ? 2 : 1, { replace: true });
+    }
+}
 
-addManualBtn.addEventListener('click', () => {
-    const value = itemInput.value.trim();
-    if (value.length >= 2) {
-        // Trigger AI suggestions (same as pressing Enter)
-        submitItemForAI(value);
+/**
+ * Back/forward: show the step for the new URL, redirecting steps that
+ * can't be shown (an empty cart, or a search that is no longer running)
+ */
+window.addEventListener('popstate', () => {
+    const route = parseRoute(window.location.pathname);
+    
+    // Navigating away from a running search abandons it
+    if (isTrackingJob() && route.step !== 3 && route.jobId !== state.jobId) {
+        stopTracking();
+        state.jobId = null;
+        saveState();
     }
-});
-
-continueBtn.addEventListener('click', () => {
-    goToStep(2);
-});
-
-clearCartBtn.addEventListener('click', () => {
-    if (confirm('Clear all items from cart?')) {
-        state.cart = [];
-        renderCart();
+    
+    // ...and so does navigating away from one waiting for the connection
+    // (a search queued in another tab is that tab's to drop)
+    if (isOwnQueuedSearch() && route.step !== 3) {
+        clearQueuedSearch();
+        saveState();
+    }
+    
+    if (route.jobId) {
+        openJobRoute(route.jobId);
+    } else if (route.step === 4) {
+        goToStep(Object.keys(state.results).length > 0 ? 4 : 1, { fromHistory: true });
+    } else if (route.step === 3 && !isTrackingJob() && !isOwnQueuedSearch()) {
+        goToStep(state.cart.length > 0 ? 2 : 1, { replace: true });
+    } else if (route.step === 2 && state.cart.length === 0) {
+        goToStep(1, { replace: true });
+    } else {
+        goToStep(route.step, { fromHistory: true });
     }
 });
 
 // ============================================================================
-// STEP 2: ZIP CODE
+// OFFLINE
 // ============================================================================
 
-const zipInput = document.getElementById('zipInput');
-const backBtn = document.getElementById('backBtn');
-const findPricesBtn = document.getElementById('findPricesBtn');
+// sw.js caches the app shell and the latest results. Searches and AI
+// suggestions requested while offline wait in the saved state (queuedSearch,
+// and pending items with status 'offline') and are sent when the connection
+// returns: on the 'online' event, or when the worker's background sync fires.
+// The saved state is shared by every tab, so a queued search is tagged with
+// the tab that queued it and only that tab sends or drops it.
 
-zipInput.addEventListener('input', (e) => {
-    const value = e.target.value.replace(/\D/g, '');  // Only digits
-    e.target.value = value;
-    findPricesBtn.disabled = value.length !== CONFIG.MIN_ZIP_LENGTH;
-});
+const connectionStatus = document.getElementById('connectionStatus');
+const OFFLINE_SYNC_TAG = 'offline-queue';
+const TAB_ID = getTabId();
 
-zipInput.addEventListener('keypress', (e) => {
-    if (e.key === 'Enter' && !findPricesBtn.disabled) {
-        submitCart();
+/**
+ * This tab's ID - kept in sessionStorage so it survives a reload
+ */
+function getTabId() {
+    const tabId = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+    try {
+        const saved = sessionStorage.getItem(CONFIG.TAB_ID_KEY);
+        if (saved) {
+            return saved;
+        }
+        sessionStorage.setItem(CONFIG.TAB_ID_KEY, tabId);
+    } catch (error) {
+        // Without sessionStorage the ID only lasts until the page reloads
     }
-});
+    return tabId;
+}
 
-backBtn.addEventListener('click', () => {
-    goToStep(1);
-});
+/**
+ * Whether the queued search (if any) was queued in this tab
+ */
+function isOwnQueuedSearch() {
+    return Boolean(state.queuedSearch) && state.queuedSearch.tabId === TAB_ID;
+}
 
-findPricesBtn.addEventListener('click', () => {
-    submitCart();
-});
+/**
+ * Drop this tab's queued search, leaving another tab's alone
+ */
+function clearQueuedSearch() {
+    if (isOwnQueuedSearch()) {
+        state.queuedSearch = null;
+    }
+}
 
 /**
- * Submit cart to API
+ * Register the service worker (the app still works without one)
  */
-async function submitCart() {
-    state.zipCode = zipInput.value;
-    const prioritizeNearby = document.getElementById('prioritizeNearbyToggle').checked;
-    goToStep(3);
+function registerServiceWorker() {
+    if (!('serviceWorker' in navigator)) {
+        return;
+    }
     
-    try {
-        const response = await fetch(`${CONFIG.API_BASE_URL}/api/cart`, {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({
-                items: state.cart.map(item => item.name),
-                zipcode: state.zipCode,
-                prioritize_nearby: prioritizeNearby
-            })
-        });
-        
-        if (!response.ok) {
-            throw new Error('Failed to submit cart');
+    navigator.serviceWorker.register('/sw.js').catch(error => {
+        console.warn('Service worker registration failed:', error);
+    });
+    
+    // Background sync fired - the queue lives here, so the page sends it
+    navigator.serviceWorker.addEventListener('message', (e) => {
+        if (e.data && e.data.type === 'flush-queue') {
+            flushOfflineQueue();
         }
-        
-        const data = await response.json();
-        state.jobId = data.job_id;
-        
-        document.getElementById('jobIdDisplay').textContent = data.job_id.substring(0, 8) + '...';
-        document.getElementById('loadingStatus').textContent = 'Job queued, waiting for worker...';
-        
-        // Start polling for results
-        startPolling();
-        
-    } catch (error) {
-        console.error('Error submitting cart:', error);
-        showToast('Failed to submit cart. Please try again.');
-        goToStep(2);
+    });
+}
+
+/**
+ * Ask the service worker to wake us once the connection is back
+ * (browsers without background sync rely on the 'online' event)
+ */
+function requestBackgroundSync() {
+    if (!('serviceWorker' in navigator)) {
+        return;
     }
+    
+    navigator.serviceWorker.ready
+        .then(registration => registration.sync && registration.sync.register(OFFLINE_SYNC_TAG))
+        .catch(error => console.warn('Background sync unavailable:', error));
 }
 
-// ============================================================================
-// STEP 3: POLLING FOR RESULTS
-// ============================================================================
+/**
+ * Show or hide the offline badge in the header
+ */
+function updateConnectionStatus() {
+    connectionStatus.classList.toggle('hidden', navigator.onLine);
+}
 
-let pollCount = 0;
+/**
+ * Hold a search until we're back online, keeping the user on step 3
+ */
+function queueSearch(prioritizeNearby) {
+    state.queuedSearch = { prioritizeNearby, tabId: TAB_ID };
+    saveState();
+    showQueuedSearch();
+    requestBackgroundSync();
+}
 
 /**
- * Start polling for results
+ * Step 3 while a search waits for the connection
  */
-function startPolling() {
-    pollCount = 0;
-    state.pollInterval = setInterval(pollResults, CONFIG.POLL_INTERVAL);
-    pollResults();  // Poll immediately
+function showQueuedSearch() {
+    document.getElementById('jobIdDisplay').textContent = '-';
+    loadingStatus.textContent = "You're offline. Your search will start as soon as you reconnect.";
+    progressBar.classList.add('indeterminate');
+    progressBar.removeAttribute('aria-valuenow');
 }
 
 /**
- * Poll for results
+ * Hold a pending item's AI suggestions until we're back online
  */
-async function pollResults() {
-    pollCount++;
-    const progressFill = document.getElementById('progressFill');
-    const loadingStatus = document.getElementById('loadingStatus');
+function queuePendingItem(pendingId) {
+    updatePendingItem(pendingId, { status: 'offline' });
+    requestBackgroundSync();
+}
+
+/**
+ * Send everything that was queued while offline
+ */
+function flushOfflineQueue() {
+    if (!navigator.onLine) {
+        return;
+    }
     
-    // Update progress bar (fake progress)
-    const progress = Math.min((pollCount * 10), 90);
-    progressFill.style.width = `${progress}%`;
+    state.pendingSuggestions
+        .filter(pending => pending.status === 'offline')
+        .forEach(pending => resolvePendingItem(pending.id));
     
-    try {
-        const response = await fetch(`${CONFIG.API_BASE_URL}/api/results/${state.jobId}`);
+    if (isOwnQueuedSearch()) {
+        const { prioritizeNearby } = state.queuedSearch;
+        state.queuedSearch = null;
+        saveState();
         
-        if (!response.ok) {
-            throw new Error('Failed to fetch results');
-        }
-        
-        const data = await response.json();
-        
-        if (data.status === 'complete') {
-            // Stop polling
-            clearInterval(state.pollInterval);
-            progressFill.style.width = '100%';
-            
-            // Display results
-            displayResults(data);
-            goToStep(4);
-            
-        } else if (data.status === 'processing') {
-            loadingStatus.textContent = 'Processing your items...';
-            
-        } else if (data.status === 'failed') {
-            clearInterval(state.pollInterval);
-            showToast('Search failed. Please try again.');
-            goToStep(2);
-            
-        } else if (data.status === 'queued') {
-            loadingStatus.textContent = `Queued (position: ${data.queue_position || '?'})`;
+        // Only if the user is still waiting for it
+        if (state.currentStep === 3 && !state.jobId) {
+            showToast('Back online - starting your search');
+            submitCart(prioritizeNearby);
         }
-        
-    } catch (error) {
-        console.error('Error polling results:', error);
-        clearInterval(state.pollInterval);
-        showToast('Error fetching results. Please try again.');
-        goToStep(2);
     }
 }
 
+window.addEventListener('online', () => {
+    updateConnectionStatus();
+    flushOfflineQueue();
+    renderResultsMap(lastResultsData);
+});
+
+window.addEventListener('offline', () => {
+    updateConnectionStatus();
+    renderResultsMap(lastResultsData);
+    showToast("You're offline - searches will be sent when you reconnect");
+});
+
 // ============================================================================
-// STEP 4: DISPLAY RESULTS
+// KEYBOARD SHORTCUTS
 // ============================================================================
 
-const resultsTable = document.getElementById('resultsTable');
-const itemsFoundCount = document.getElementById('itemsFoundCount');
-const zipDisplay = document.getElementById('zipDisplay');
-const totalItems = document.getElementById('totalItems');
-const totalProducts = document.getElementById('totalProducts');
-const processingTime = document.getElementById('processingTime');
-const newSearchBtn = document.getElementById('newSearchBtn');
+/**
+ * Whether a key press is going into a text field
+ */
+function isTypingTarget(element) {
+    return element.matches('input, textarea, select, [contenteditable="true"]');
+}
 
 /**
- * Display search results
+ * Ctrl/Cmd+Enter continues to the next step, "/" jumps to the item input
  */
-function displayResults(data) {
-    const results = data.results || {};
-    const itemsWithResults = Object.keys(results).filter(item => results[item].length > 0);
+document.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
+        const button = state.currentStep === 1 ? continueBtn
+            : state.currentStep === 2 ? findPricesBtn
+            : null;
+        if (button && !button.disabled) {
+            e.preventDefault();
+            button.click();
+        }
+    } else if (e.key === '/' && state.currentStep === 1 && !isTypingTarget(e.target)) {
+        e.preventDefault();
+        itemInput.focus();
+    }
+});
+
+// ============================================================================
+// INITIALIZE
+// ============================================================================
+
+/**
+ * Restore the saved session and resume where the user left off
+ * (`resume: false` restores the lists without resuming the job or step)
+ */
+function restoreSession({ resume = true } = {}) {
+    const snapshot = loadState();
+    if (!snapshot) {
+        return;
+    }
     
-    // DEBUG: Log raw API response
-    console.log('=== RAW API RESPONSE ===');
-    console.log('Full data:', JSON.stringify(data, null, 2));
-    console.log('First item products:', results[Object.keys(results)[0]]?.slice(0, 3));
+    applySnapshot(snapshot);
+    zipInput.value = state.zipCode || '';
+    prioritizeNearbyToggle.checked = state.prioritizeNearby;
+    updateActionButtons();
     
-    // Update summary
-    itemsFoundCount.textContent = itemsWithResults.length;
-    zipDisplay.textContent = data.zip_code || state.zipCode;
-    totalItems.textContent = state.cart.length;
+    renderCart();
+    renderCompareZips();
+    renderPendingSuggestions();
     
-    let totalProductsCount = 0;
-    Object.values(results).forEach(products => {
-        totalProductsCount += products.length;
-    });
-    totalProducts.textContent = totalProductsCount;
+    // Suggestions that were in flight when the page closed need a new request
+    state.pendingSuggestions
+        .filter(pending => pending.status === 'loading' || pending.status === 'queued' || pending.status === 'offline')
+        .forEach(pending => resolvePendingItem(pending.id));
     
-    processingTime.textContent = data.total_time ? `${data.total_time.toFixed(1)}s` : '-';
+    if (!resume) {
+        return;
+    }
     
-    // Render results
-    resultsTable.innerHTML = '';
+    resumeComparisons();
     
-    state.cart.forEach((cartItem, cartIndex) => {
-        const products = results[cartItem.name] || [];
-        
-        if (products.length === 0) {
-            // No results found
-            resultsTable.innerHTML += `
-                <div class="result-card">
-                    <div class="result-header">
-                        <span class="result-item-name">${cartItem.name}</span>
-                    </div>
-                    <div class="result-products">
-                        <p style="text-align: center; color: #9E9E9E; padding: 20px;">No products found</p>
-                    </div>
-                </div>
-            `;
-        } else {
-            // Sort by price (cheapest first)
-            const sortedProducts = [...products].sort((a, b) => a.price - b.price);
-            
-            // Get best price
-            const bestPrice = sortedProducts[0].price;
-            
-            // Group stores by same price
-            const bestPriceProducts = sortedProducts.filter(p => p.price === bestPrice);
-            const otherProducts = sortedProducts.filter(p => p.price !== bestPrice);
-            
-            // Create best price display
-            let bestPriceHTML = '';
-            if (bestPriceProducts.length === 1) {
-                // Single store at best price
-                const product = bestPriceProducts[0];
-                const locationText = product.location ? `<div class="product-location">📍 ${product.location}</div>` : '';
-                bestPriceHTML = `
-                    <div class="product-row best">
-                        <div class="product-name">
-                            <span class="best-badge">⭐ BEST PRICE</span>
-                            ${product.name || product.title || 'Product'}
-                        </div>
-                        <div class="product-price">$${bestPrice.toFixed(2)}</div>
-                        <div class="product-merchant">
-                            ${product.merchant}
-                            ${locationText}
-                        </div>
-                    </div>
-                `;
-            } else {
-                // Multiple stores at best price
-                const firstStore = bestPriceProducts[0].merchant;
-                const firstLocation = bestPriceProducts[0].location ? `<div class="product-location">📍 ${bestPriceProducts[0].location}</div>` : '';
-                const otherCount = bestPriceProducts.length - 1;
-                const cardId = `card-${cartIndex}`;
-                
-                bestPriceHTML = `
-                    <div class="product-row best">
-                        <div class="product-name">
-                            <span class="best-badge">⭐ BEST PRICE</span>
-                            ${bestPriceProducts[0].name || bestPriceProducts[0].title || 'Product'}
-                        </div>
-                        <div class="product-price">$${bestPrice.toFixed(2)}</div>
-                        <div class="product-merchant">
-                            ${firstStore}
-                            ${firstLocation}
-                            <button class="btn-expand" onclick="toggleStores('${cardId}')" id="btn-${cardId}">
-                                + ${otherCount} other store${otherCount > 1 ? 's' : ''}
-                            </button>
-                        </div>
-                    </div>
-                    <div id="${cardId}" class="other-stores hidden">
-                        ${bestPriceProducts.slice(1).map(p => {
-                            const loc = p.location ? `<div class="product-location">📍 ${p.location}</div>` : '';
-                            return `
-                                <div class="product-row">
-                                    <div class="product-name">${p.name || p.title || 'Product'}</div>
-                                    <div class="product-price">$${p.price.toFixed(2)}</div>
-                                    <div class="product-merchant">
-                                        ${p.merchant}
-                                        ${loc}
-                                    </div>
-                                </div>
-                            `;
-                        }).join('')}
-                    </div>
-                `;
-            }
-            
-            resultsTable.innerHTML += `
-                <div class="result-card">
-                    <div class="result-header">
-                        <span class="result-item-name">${cartItem.name}</span>
-                    </div>
-                    <div class="result-products">
-                        ${bestPriceHTML}
-                    </div>
-                </div>
-            `;
-        }
-    });
+    if (state.jobId) {
+        // Resume the job - tracking jumps to step 4 once it's complete
+        resumeJob();
+    } else if (isOwnQueuedSearch()) {
+        goToStep(3);
+        showQueuedSearch();
+        flushOfflineQueue();
+    } else if (state.cart.length > 0 && snapshot.currentStep >= 2) {
+        goToStep(2);
+    }
 }
 
 /**
- * Toggle visibility of other stores
+ * Open whatever the page URL points at: a shared list, a job's results,
+ * or the saved session
  */
-window.toggleStores = function(cardId) {
-    const storesDiv = document.getElementById(cardId);
-    const btn = document.getElementById(`btn-${cardId}`);
+async function openInitialRoute() {
+    const sharedLink = readSharedLink();
+    const route = parseRoute(window.location.pathname);
     
-    if (storesDiv.classList.contains('hidden')) {
-        storesDiv.classList.remove('hidden');
-        btn.textContent = '- Hide other stores';
+    if (sharedLink && confirmSharedLink()) {
+        await openSharedLink(sharedLink);
+    } else if (!sharedLink && route.jobId && route.jobId !== (loadState() || {}).jobId) {
+        // Deep link to a job other than the one we were tracking
+        restoreSession({ resume: false });
+        await openJobRoute(route.jobId);
     } else {
-        storesDiv.classList.add('hidden');
-        const count = storesDiv.querySelectorAll('.product-row').length;
-        btn.textContent = `+ ${count} other store${count > 1 ? 's' : ''}`;
+        restoreSession();
+        if (state.currentStep === 1) {
+            goToStep(1);
+        }
     }
-};
+    
+    routeReady = true;
+}
 
-newSearchBtn.addEventListener('click', () => {
-    // Reset state
-    state.cart = [];
-    state.jobId = null;
-    state.zipCode = null;
+/**
+ * Show the loading step and start polling for the current job
+ */
+function resumeJob() {
+    document.getElementById('jobIdDisplay').textContent = state.jobId.substring(0, 8) + '...';
+    goToStep(3);
+    trackJob();
+}
+
+/**
+ * Sync state changes made in another tab
+ */
+window.addEventListener('storage', (e) => {
+    if (e.key !== CONFIG.STORAGE_KEY) {
+        return;
+    }
     
-    // Reset inputs
-    itemInput.value = '';
-    zipInput.value = '';
+    const snapshot = parseSavedState(e.newValue);
+    if (!snapshot) {
+        return;
+    }
     
-    // Reset UI
+    const previousJobId = state.jobId;
+    const ownQueuedSearch = isOwnQueuedSearch() ? state.queuedSearch : null;
+    applySnapshot(snapshot);
+    
+    // Another tab can't drop our queued search - if its save raced ours,
+    // keep ours in memory (saving it back would just bounce between tabs)
+    if (ownQueuedSearch && !state.jobId && !isOwnQueuedSearch()) {
+        state.queuedSearch = ownQueuedSearch;
+    }
+    zipInput.value = state.zipCode || '';
+    prioritizeNearbyToggle.checked = state.prioritizeNearby;
+    updateActionButtons();
     renderCart();
-    suggestionsDiv.classList.add('hidden');
+    renderCompareZips();
+    renderPendingSuggestions();
+    if (state.currentStep === 4) {
+        renderZipComparison();
+        renderChecklist();
+    }
     
-    // Go back to step 1
-    goToStep(1);
+    if (state.jobId && state.jobId !== previousJobId) {
+        // Another tab started a search - follow it
+        resumeJob();
+    } else if (!state.jobId && previousJobId) {
+        // Another tab started over or the job ended
+        stopTracking();
+        goToStep(state.cart.length > 0 && snapshot.currentStep >= 2 ? 2 : 1);
+    }
 });
 
-// ============================================================================
-// INITIALIZE
-// ============================================================================
-
-// Make functions available globally (for onclick handlers)
-window.removeFromCart = removeFromCart;
-
 // Initial render
 renderCart();
+renderStorePreferences();
+renderSavedLists();
+renderSearchHistory();
+updateConnectionStatus();
+registerServiceWorker();
+
+openInitialRoute();
 
 console.log('🚀 Low Cost Groceries - AI Shopping Assistant loaded');
 console.log('📡 API URL:', CONFIG.API_BASE_URL);
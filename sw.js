@@ -0,0 +1,103 @@
+/**
+ * Service Worker - offline support
+ *
+ * Caches the app shell so the app opens without a connection, keeps the
+ * most recent /api/results responses viewable offline, and uses background
+ * sync to tell open tabs to send searches queued while offline.
+ */
+
+const CACHE_VERSION = 'v4';
+const SHELL_CACHE = `lowcost-groceries-shell-${CACHE_VERSION}`;
+const RESULTS_CACHE = `lowcost-groceries-results-${CACHE_VERSION}`;
+const SHELL_FILES = ['/', '/app.js', '/styles.css', '/manifest.webmanifest', '/icon.svg', '/icon-192.png', '/icon-512.png', '/zip-centroids.json'];
+const MAX_CACHED_RESULTS = 5;  // result responses kept for offline viewing (oldest dropped first)
+const SYNC_TAG = 'offline-queue';  // registered by app.js when it queues a request
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(SHELL_CACHE)
+            .then(cache => cache.addAll(SHELL_FILES))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    // Drop caches from older versions of this worker
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys
+                .filter(key => key !== SHELL_CACHE && key !== RESULTS_CACHE)
+                .map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    const url = new URL(request.url);
+
+    // Submissions, the progress stream and other sites go straight to the network
+    if (request.method !== 'GET' || url.origin !== self.location.origin) {
+        return;
+    }
+
+    if (request.mode === 'navigate') {
+        // Every route serves index.html (see the rewrites in vercel.json)
+        event.respondWith(networkFirst(request, SHELL_CACHE, '/'));
+    } else if (SHELL_FILES.includes(url.pathname)) {
+        event.respondWith(networkFirst(request, SHELL_CACHE, url.pathname));
+    } else if (url.pathname.startsWith('/api/results/')) {
+        event.respondWith(networkFirst(request, RESULTS_CACHE, request.url, MAX_CACHED_RESULTS));
+    }
+});
+
+self.addEventListener('sync', (event) => {
+    if (event.tag !== SYNC_TAG) {
+        return;
+    }
+
+    // The queue lives in each tab's saved state, so the tabs send it
+    event.waitUntil(
+        self.clients.matchAll({ type: 'window' })
+            .then(clients => clients.forEach(client => client.postMessage({ type: 'flush-queue' })))
+    );
+});
+
+/**
+ * Fetch from the network and cache the response under `key`, falling back
+ * to the cached copy when offline. `maxEntries` caps the cache size.
+ */
+async function networkFirst(request, cacheName, key, maxEntries = null) {
+    const cache = await caches.open(cacheName);
+
+    try {
+        const response = await fetch(request);
+
+        // A redirected response can't be served for a navigation later
+        if (response.ok && !response.redirected) {
+            // Re-adding moves the entry to the end, so trimming drops the oldest
+            await cache.delete(key);
+            await cache.put(key, response.clone());
+            if (maxEntries) {
+                await trimCache(cache, maxEntries);
+            }
+        }
+        return response;
+    } catch (error) {
+        const cached = await cache.match(key);
+        if (cached) {
+            return cached;
+        }
+        throw error;
+    }
+}
+
+/**
+ * Delete the oldest entries until at most `maxEntries` remain
+ */
+async function trimCache(cache, maxEntries) {
+    const keys = await cache.keys();
+    await Promise.all(keys
+        .slice(0, Math.max(0, keys.length - maxEntries))
+        .map(key => cache.delete(key)));
+}
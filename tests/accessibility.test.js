@@ -0,0 +1,190 @@
+/**
+ * Accessibility of the rendered wizard: axe-core checks on each step, plus
+ * keyboard navigation, focus management and live regions.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs';
+import { loadApp, jsonResponse, settle } from './helpers/load-app.js';
+
+const AXE_SOURCE = fs.readFileSync(new URL(import.meta.resolve('axe-core/axe.min.js')), 'utf8');
+
+const RESULTS = {
+    milk: [
+        { name: 'Whole milk 1 gal', merchant: 'Alpha', location: 'Main St', price: 3.49, distance_miles: 1.2 },
+        { name: 'Milk 1 gal', merchant: 'Beta', price: 3.99, distance_miles: 2.5 }
+    ],
+    eggs: [{ name: 'Large eggs 12 ct', merchant: 'Beta', price: 2.99, distance_miles: 2.5 }],
+    caviar: []
+};
+
+/**
+ * Run axe-core against the document and fail with a readable summary.
+ * jsdom does no layout, so colour contrast can't be measured here.
+ */
+async function assertNoViolations(app, context) {
+    if (!app.window.axe) {
+        app.window.eval(AXE_SOURCE);
+    }
+    const result = await app.window.axe.run(app.document, { rules: { 'color-contrast': { enabled: false } } });
+    const summary = Array.from(result.violations, violation =>
+        `${violation.id}: ${violation.nodes.map(node => node.target.join(' ')).join(', ')}`);
+    assert.deepStrictEqual(summary, [], `${context} has accessibility violations`);
+}
+
+/**
+ * Dispatch a keydown on an element
+ */
+function pressKey(app, element, key, options = {}) {
+    element.dispatchEvent(new app.window.KeyboardEvent('keydown', { key, bubbles: true, cancelable: true, ...options }));
+}
+
+/**
+ * Fetch stub: clarify answers with a suggestion, cart creates a job and
+ * results are complete straight away
+ */
+async function fakeApi(url, options = {}) {
+    if (url.includes('/api/clarify')) {
+        const item = JSON.parse(options.body).item;
+        return jsonResponse({ suggested: { name: `${item} (organic)` }, alternatives: [{ name: `${item} (store brand)` }] });
+    }
+    if (url.includes('/api/cart')) {
+        return jsonResponse({ job_id: 'job-1234567890' });
+    }
+    if (url.includes('/api/results/')) {
+        return jsonResponse({ status: 'complete', zip_code: '12345', results: RESULTS });
+    }
+    throw new TypeError('Failed to fetch');
+}
+
+/**
+ * Queue items through the bulk import and wait for their suggestions
+ */
+async function importItems(app, lines) {
+    app.document.getElementById('bulkImportText').value = lines.join('\n');
+    app.document.getElementById('bulkImportBtn').click();
+    await settle();
+}
+
+test('step 1 with cart items and pending suggestions has no axe violations', async () => {
+    const app = await loadApp({ fetch: fakeApi });
+    app.run(`state.cart = [createCartItem('bread')]; renderCart();`);
+    await importItems(app, ['milk', 'eggs']);
+    app.run(`
+        state.pendingSuggestions.push(
+            { id: 1, originalText: 'kefir', status: 'queued' },
+            { id: 2, originalText: 'tofu', status: 'error', error: 'The AI service could not be reached' }
+        );
+        renderPendingSuggestions();
+    `);
+
+    await assertNoViolations(app, 'Step 1');
+    await app.close();
+});
+
+test('steps 2, 3 and 4 (with the checklist open) have no axe violations', async () => {
+    const app = await loadApp({ fetch: fakeApi });
+    app.run(`state.cart = ['milk', 'eggs', 'caviar'].map(name => createCartItem(name)); renderCart(); goToStep(2);`);
+    await assertNoViolations(app, 'Step 2');
+
+    app.run(`goToStep(3)`);
+    await assertNoViolations(app, 'Step 3');
+
+    app.run(`
+        state.zipCode = '12345';
+        state.resultsView.showMap = true;
+        displayResults({ status: 'complete', zip_code: '12345', results: window.results });
+        goToStep(4);
+    `.replace('window.results', JSON.stringify(RESULTS)));
+    await assertNoViolations(app, 'Step 4');
+
+    app.document.getElementById('checklistBtn').click();
+    await assertNoViolations(app, 'The in-store checklist');
+    await app.close();
+});
+
+test('arrow keys move between suggestion cards and Enter picks one', async () => {
+    const app = await loadApp({ fetch: fakeApi });
+    await importItems(app, ['milk', 'eggs']);
+
+    const cards = () => [...app.document.querySelectorAll('.suggestion-card')];
+    assert.ok(cards().length === 6 && cards().every(card => card.getAttribute('role') === 'button'));
+    // Tab stops on the first card of each item only
+    assert.deepStrictEqual(cards().map(card => card.tabIndex), [0, -1, -1, 0, -1, -1]);
+
+    cards()[0].focus();
+    pressKey(app, cards()[0], 'ArrowDown');
+    assert.strictEqual(app.document.activeElement, cards()[1]);
+    pressKey(app, app.document.activeElement, 'End');
+    assert.strictEqual(app.document.activeElement, cards()[5]);
+    pressKey(app, app.document.activeElement, 'Home');
+    assert.strictEqual(app.document.activeElement, cards()[0]);
+
+    pressKey(app, cards()[1], 'Enter');
+    assert.deepStrictEqual(app.get('state.cart.map(item => item.name)'), ['milk (organic)']);
+    // Focus stays in the suggestions for the next item
+    assert.ok(app.document.activeElement.classList.contains('suggestion-card'));
+    assert.match(app.document.activeElement.closest('[role="group"]').getAttribute('aria-label'), /eggs/);
+    await app.close();
+});
+
+test('Delete on a suggestion card dismisses its item', async () => {
+    const app = await loadApp({ fetch: fakeApi });
+    await importItems(app, ['milk']);
+
+    const card = app.document.querySelector('.suggestion-card');
+    card.focus();
+    pressKey(app, card, 'Delete');
+    assert.strictEqual(app.run('state.pendingSuggestions.length'), 0);
+    assert.strictEqual(app.document.activeElement.id, 'itemInput');
+    await app.close();
+});
+
+test('keyboard shortcuts continue, jump to the input and remove cart rows', async () => {
+    const app = await loadApp({ fetch: fakeApi });
+    app.run(`state.cart = [createCartItem('milk'), createCartItem('eggs')]; renderCart();`);
+
+    pressKey(app, app.document.body, '/');
+    assert.strictEqual(app.document.activeElement.id, 'itemInput');
+
+    const quantity = app.document.querySelector('.cart-item .quantity-input');
+    pressKey(app, quantity, 'Delete', { shiftKey: true });
+    assert.deepStrictEqual(app.get('state.cart.map(item => item.name)'), ['eggs']);
+    assert.strictEqual(app.document.activeElement.getAttribute('aria-label'), 'Remove eggs');
+
+    pressKey(app, app.document.body, 'Enter', { ctrlKey: true });
+    assert.strictEqual(app.run('state.currentStep'), 2);
+    await app.close();
+});
+
+test('changing step moves focus to the new step heading', async () => {
+    const app = await loadApp({ fetch: fakeApi });
+    app.run(`state.cart = [createCartItem('milk')]; renderCart();`);
+
+    app.document.getElementById('continueBtn').click();
+    assert.strictEqual(app.document.activeElement, app.document.querySelector('#step2 h1'));
+
+    app.run(`goToStep(1)`);
+    assert.strictEqual(app.document.activeElement, app.document.querySelector('#step1 h1'));
+    await app.close();
+});
+
+test('toasts, progress and suggestion updates are exposed to screen readers', async () => {
+    const app = await loadApp({ fetch: fakeApi });
+    const toast = app.document.getElementById('toast');
+    assert.strictEqual(toast.getAttribute('role'), 'status');
+    assert.strictEqual(toast.getAttribute('aria-live'), 'polite');
+
+    const progressBar = app.document.querySelector('.progress-bar');
+    assert.strictEqual(progressBar.getAttribute('role'), 'progressbar');
+    app.run(`renderProgress({ status: 'processing', items_done: 1, items_total: 4 })`);
+    assert.strictEqual(progressBar.getAttribute('aria-valuenow'), '25');
+
+    await importItems(app, ['milk']);
+    const announcer = app.document.getElementById('announcer');
+    assert.strictEqual(announcer.getAttribute('aria-live'), 'polite');
+    assert.strictEqual(announcer.textContent, 'Suggestions ready for "milk"');
+    assert.strictEqual(app.document.querySelector('.pending-item-card').getAttribute('aria-busy'), 'false');
+    await app.close();
+});
@@ -0,0 +1,110 @@
+/**
+ * Response cache: entries expire after their TTL, clients can bypass the
+ * cache, and cache keys normalize items the same way the browser's
+ * suggestion cache does.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { createCache, normalizeItemText, wantsFreshResponse } from '../../api/_lib/cache.js';
+import { MemoryStore } from '../../api/_lib/memory-store.js';
+import { createRequest, createResponse } from '../helpers/mock-http.js';
+import { loadApp } from '../helpers/load-app.js';
+import clarifyHandler from '../../api/clarify.js';
+
+test('memory store entries expire after their TTL', async (t) => {
+    let now = 1000000;
+    t.mock.method(Date, 'now', () => now);
+    const store = new MemoryStore();
+
+    await store.set('milk', { name: 'milk' }, 1000);
+    now += 999;
+    assert.deepStrictEqual(await store.get('milk'), { name: 'milk' });
+    now += 1;
+    assert.strictEqual(await store.get('milk'), null);
+    assert.strictEqual(store.entries.size, 0, 'expired entry dropped');
+});
+
+test('a full memory store drops its oldest entry', async () => {
+    const store = new MemoryStore({ maxKeys: 2 });
+    await store.set('a', 1, 1000);
+    await store.set('b', 2, 1000);
+    await store.set('a', 3, 1000);
+    await store.set('c', 4, 1000);
+
+    assert.strictEqual(await store.get('a'), null);
+    assert.strictEqual(await store.get('b'), 2);
+    assert.strictEqual(await store.get('c'), 4);
+});
+
+test('caches are namespaced and use their own TTL', async (t) => {
+    let now = 1000000;
+    t.mock.method(Date, 'now', () => now);
+    const store = new MemoryStore();
+    const short = createCache({ name: 'short', ttlMs: 100, store });
+    const long = createCache({ name: 'long', ttlMs: 1000, store });
+
+    await short.set('milk', 'short');
+    await long.set('milk', 'long');
+    assert.strictEqual(await short.get('milk'), 'short');
+    now += 100;
+    assert.strictEqual(await short.get('milk'), null);
+    assert.strictEqual(await long.get('milk'), 'long');
+});
+
+test('a broken store reads as a miss', async (t) => {
+    t.mock.method(console, 'error', () => {});
+    const broken = { get: async () => { throw new Error('down'); }, set: async () => { throw new Error('down'); } };
+    const cache = createCache({ name: 'broken', ttlMs: 1000, store: broken });
+
+    await cache.set('milk', 'value');
+    assert.strictEqual(await cache.get('milk'), null);
+});
+
+test('Cache-Control: no-cache or no-store asks for a fresh response', () => {
+    assert.strictEqual(wantsFreshResponse({ headers: { 'cache-control': 'no-cache' } }), true);
+    assert.strictEqual(wantsFreshResponse({ headers: { 'cache-control': 'max-age=0, No-Store' } }), true);
+    assert.strictEqual(wantsFreshResponse({ headers: { 'cache-control': 'max-age=60' } }), false);
+    assert.strictEqual(wantsFreshResponse({ headers: {} }), false);
+});
+
+test('/api/clarify serves repeats from the cache until they expire or are bypassed', async (t) => {
+    let now = 1000000;
+    t.mock.method(Date, 'now', () => now);
+    t.mock.method(console, 'log', () => {});
+    process.env.BACKEND_API_URL = 'http://backend.test';
+    let backendCalls = 0;
+    t.mock.method(globalThis, 'fetch', async () => {
+        backendCalls++;
+        return new Response(JSON.stringify({ suggested: { name: `milk #${backendCalls}` } }));
+    });
+
+    const ask = async (item, headers = {}) => {
+        const res = createResponse();
+        await clarifyHandler(createRequest({ method: 'POST', body: { item, context: ['eggs'] }, headers }), res);
+        return { cache: res.headers['x-cache'], name: res.body.suggested.name };
+    };
+
+    assert.deepStrictEqual(await ask('Milk'), { cache: 'MISS', name: 'milk #1' });
+    assert.deepStrictEqual(await ask('  milk! '), { cache: 'HIT', name: 'milk #1' });
+
+    // Bypassing goes to the backend and refreshes the entry
+    assert.deepStrictEqual(await ask('milk', { 'cache-control': 'no-cache' }), { cache: 'BYPASS', name: 'milk #2' });
+    assert.deepStrictEqual(await ask('milk'), { cache: 'HIT', name: 'milk #2' });
+
+    now += 24 * 60 * 60 * 1000;
+    assert.deepStrictEqual(await ask('milk'), { cache: 'MISS', name: 'milk #3' });
+    assert.strictEqual(backendCalls, 3);
+});
+
+// app.js keeps its own copy for the browser's suggestion cache
+test('item text is normalized the same way as in app.js', async () => {
+    const app = await loadApp();
+    const inputs = ['Milk', '  2% Milk  ', 'Ben & Jerry\'s', 'half-and-half', 'eggs,\tlarge', 'Crème fraîche', '7.5 oz. tuna', 'ÉCLAIRS!!', ''];
+
+    inputs.forEach(input => {
+        app.window.input = input;
+        assert.strictEqual(app.run('normalizeItemText(window.input)'), normalizeItemText(input), JSON.stringify(input));
+    });
+    await app.close();
+});
@@ -0,0 +1,166 @@
+/**
+ * Backend proxy: timeouts, retries, the error envelope and request IDs,
+ * against a stubbed fetch.
+ */
+
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert';
+import { proxyRequest } from '../../api/_lib/proxy.js';
+import { createRequest, createResponse } from '../helpers/mock-http.js';
+
+const BACKEND = 'http://backend.test';
+
+/**
+ * Stub fetch with `respond(call)`, recording each call's URL and options.
+ * Also captures the JSON log lines instead of printing them.
+ */
+function stubBackend(t, respond) {
+    const calls = [];
+    const logs = [];
+    t.mock.method(globalThis, 'fetch', async (url, options) => {
+        calls.push({ url, options });
+        return respond(calls.length, options);
+    });
+    ['log', 'warn', 'error'].forEach(method => {
+        t.mock.method(console, method, line => logs.push(JSON.parse(line)));
+    });
+    return { calls, logs };
+}
+
+const reply = (body, status = 200) => new Response(typeof body === 'string' ? body : JSON.stringify(body), { status });
+
+/**
+ * Proxy one request to /api/results/job-1 and wait for the response
+ */
+async function proxy(options = {}, { method = 'GET', headers = { 'x-request-id': 'test-request' } } = {}) {
+    const res = createResponse();
+    await proxyRequest(createRequest({ method, headers }), res, { route: 'results', path: '/api/results/job-1', ...options });
+    return res;
+}
+
+beforeEach(() => {
+    process.env.BACKEND_API_URL = `${BACKEND}/`;
+});
+
+test('a backend that never answers times out with a 504', async (t) => {
+    const { calls } = stubBackend(t, (call, { signal }) => new Promise((resolve, reject) => {
+        signal.addEventListener('abort', () => reject(new DOMException('Aborted', 'AbortError')));
+    }));
+
+    const res = await proxy({ timeout: 20, retries: 0 });
+    assert.strictEqual(calls.length, 1);
+    assert.strictEqual(res.statusCode, 504);
+    assert.deepStrictEqual(res.body, {
+        error: 'Backend did not respond within 20ms',
+        code: 'UPSTREAM_TIMEOUT',
+        request_id: 'test-request'
+    });
+});
+
+test('GETs are retried after network errors and 5xx, then succeed', async (t) => {
+    const { calls, logs } = stubBackend(t, call => {
+        if (call === 1) {
+            throw new TypeError('fetch failed');
+        }
+        return call === 2 ? reply({ detail: 'busy' }, 503) : reply({ status: 'complete' });
+    });
+
+    const res = await proxy();
+    assert.strictEqual(calls.length, 3);
+    assert.strictEqual(calls[0].url, `${BACKEND}/api/results/job-1`);
+    assert.strictEqual(res.statusCode, 200);
+    assert.deepStrictEqual(res.body, { status: 'complete' });
+    assert.deepStrictEqual(logs.filter(line => line.message === 'Retrying backend request').map(line => [line.attempt, line.code]),
+        [[1, 'UPSTREAM_UNREACHABLE'], [2, 'UPSTREAM_ERROR']]);
+});
+
+test('retries stop after the budget and the last failure is returned', async (t) => {
+    const unreachable = stubBackend(t, () => {
+        throw new TypeError('fetch failed');
+    });
+    const res = await proxy({ retries: 1 });
+    assert.strictEqual(unreachable.calls.length, 2);
+    assert.strictEqual(res.statusCode, 502);
+    assert.deepStrictEqual(res.body, {
+        error: 'Failed to contact backend API',
+        code: 'UPSTREAM_UNREACHABLE',
+        request_id: 'test-request',
+        details: 'fetch failed'
+    });
+
+    t.mock.restoreAll();
+    const busy = stubBackend(t, () => reply({ detail: 'Backend overloaded' }, 503));
+    const busyRes = await proxy({ retries: 1 });
+    assert.strictEqual(busy.calls.length, 2);
+    assert.strictEqual(busyRes.statusCode, 503);
+    assert.deepStrictEqual(busyRes.body, {
+        error: 'Backend overloaded',
+        code: 'UPSTREAM_ERROR',
+        request_id: 'test-request',
+        details: { detail: 'Backend overloaded' }
+    });
+});
+
+test('POSTs are not retried', async (t) => {
+    const { calls } = stubBackend(t, () => reply({}, 500));
+
+    const res = await proxy({ body: { items: ['milk'] } }, { method: 'POST' });
+    assert.strictEqual(calls.length, 1);
+    assert.strictEqual(calls[0].options.body, '{"items":["milk"]}');
+    assert.strictEqual(res.statusCode, 500);
+});
+
+test('backend errors are wrapped in the standard envelope', async (t) => {
+    stubBackend(t, call => {
+        if (call === 1) {
+            return reply({ detail: 'Job not found' }, 404);
+        }
+        if (call === 2) {
+            return reply({ error: 'Job expired', code: 'JOB_EXPIRED' }, 410);
+        }
+        return reply('<html>Bad Gateway</html>', 200);
+    });
+
+    assert.deepStrictEqual((await proxy()).body, {
+        error: 'Job not found',
+        code: 'UPSTREAM_NOT_FOUND',
+        request_id: 'test-request',
+        details: { detail: 'Job not found' }
+    });
+    // Already in the envelope: passed through with the request ID added
+    assert.deepStrictEqual((await proxy()).body, { error: 'Job expired', code: 'JOB_EXPIRED', request_id: 'test-request' });
+
+    const invalid = await proxy();
+    assert.strictEqual(invalid.statusCode, 502);
+    assert.deepStrictEqual(invalid.body, {
+        error: 'Backend returned an invalid response',
+        code: 'UPSTREAM_INVALID_RESPONSE',
+        request_id: 'test-request',
+        details: { status: 200, body: '<html>Bad Gateway</html>' }
+    });
+});
+
+test('a missing backend URL is a 500, not a crash', async (t) => {
+    const { calls } = stubBackend(t, () => reply({}));
+    delete process.env.BACKEND_API_URL;
+
+    const res = await proxy();
+    assert.strictEqual(calls.length, 0);
+    assert.strictEqual(res.statusCode, 500);
+    assert.strictEqual(res.body.code, 'UPSTREAM_NOT_CONFIGURED');
+});
+
+test('the request ID is echoed, forwarded to the backend and logged', async (t) => {
+    const { calls, logs } = stubBackend(t, () => reply({ status: 'complete' }));
+
+    const res = await proxy();
+    assert.strictEqual(res.headers['x-request-id'], 'test-request');
+    assert.strictEqual(calls[0].options.headers['X-Request-ID'], 'test-request');
+    assert.deepStrictEqual(logs.map(line => [line.message, line.request_id]), [['Proxied request', 'test-request']]);
+
+    // An unusable incoming ID is replaced with a fresh one
+    const fresh = await proxy({}, { headers: { 'x-request-id': 'not a valid id!' } });
+    const requestId = fresh.headers['x-request-id'];
+    assert.match(requestId, /^[0-9a-f-]{36}$/);
+    assert.strictEqual(calls[1].options.headers['X-Request-ID'], requestId);
+});
@@ -0,0 +1,100 @@
+/**
+ * Rate limiting: the token bucket, and the 429 with Retry-After that
+ * routes send once a client's bucket is empty.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { MemoryStore } from '../../api/_lib/memory-store.js';
+import { createRateLimiter, getClientIp, rejectRateLimited } from '../../api/_lib/rate-limit.js';
+import { createRequest, createResponse } from '../helpers/mock-http.js';
+import cartHandler from '../../api/cart.js';
+
+test('the bucket allows a burst, then refills at the set rate', async (t) => {
+    let now = 1000000;
+    t.mock.method(Date, 'now', () => now);
+    const limiter = createRateLimiter({ name: 'test', capacity: 3, refillPerSecond: 1, store: new MemoryStore() });
+
+    assert.deepStrictEqual(await limiter.take('a'), { allowed: true, remaining: 2, retryAfter: 0 });
+    assert.deepStrictEqual(await limiter.take('a'), { allowed: true, remaining: 1, retryAfter: 0 });
+    assert.deepStrictEqual(await limiter.take('a'), { allowed: true, remaining: 0, retryAfter: 0 });
+    assert.deepStrictEqual(await limiter.take('a'), { allowed: false, remaining: 0, retryAfter: 1 });
+
+    // Other clients have their own bucket
+    assert.strictEqual((await limiter.take('b')).allowed, true);
+
+    now += 500;
+    assert.deepStrictEqual(await limiter.take('a'), { allowed: false, remaining: 0, retryAfter: 1 });
+    now += 500;
+    assert.deepStrictEqual(await limiter.take('a'), { allowed: true, remaining: 0, retryAfter: 0 });
+
+    // Refilling stops at capacity
+    now += 60000;
+    assert.deepStrictEqual(await limiter.take('a'), { allowed: true, remaining: 2, retryAfter: 0 });
+});
+
+test('Retry-After covers the wait for a whole token', async (t) => {
+    let now = 1000000;
+    t.mock.method(Date, 'now', () => now);
+    const limiter = createRateLimiter({ name: 'test', capacity: 1, refillPerSecond: 1 / 60, store: new MemoryStore() });
+
+    await limiter.take('a');
+    assert.strictEqual((await limiter.take('a')).retryAfter, 60);
+    now += 45000;
+    assert.strictEqual((await limiter.take('a')).retryAfter, 15);
+});
+
+test('an empty bucket gets a 429 with Retry-After in the error envelope', async () => {
+    const limiter = createRateLimiter({ name: 'test', capacity: 1, refillPerSecond: 0.1, store: new MemoryStore() });
+    const req = createRequest({ ip: '203.0.113.5' });
+
+    const first = createResponse();
+    assert.strictEqual(await rejectRateLimited(req, first, limiter, 'req-1'), false);
+    assert.strictEqual(first.headers['x-ratelimit-limit'], '1');
+    assert.strictEqual(first.headers['x-ratelimit-remaining'], '0');
+    assert.strictEqual(first.ended, false);
+
+    const second = createResponse();
+    assert.strictEqual(await rejectRateLimited(req, second, limiter, 'req-2'), true);
+    assert.strictEqual(second.statusCode, 429);
+    assert.strictEqual(second.headers['retry-after'], '10');
+    assert.deepStrictEqual(second.body, {
+        error: 'Too many requests, please slow down',
+        code: 'RATE_LIMITED',
+        request_id: 'req-2',
+        details: { retry_after: 10 }
+    });
+});
+
+test('a failing store lets requests through', async (t) => {
+    t.mock.method(console, 'error', () => {});
+    const store = { get: async () => { throw new Error('store down'); }, set: async () => {} };
+    const limiter = createRateLimiter({ name: 'test', capacity: 1, refillPerSecond: 1, store });
+    const res = createResponse();
+
+    assert.strictEqual(await rejectRateLimited(createRequest(), res, limiter, 'req-1'), false);
+    assert.strictEqual(res.ended, false);
+});
+
+test('clients are told apart by their forwarded IP', () => {
+    assert.strictEqual(getClientIp({ headers: { 'x-forwarded-for': '203.0.113.5, 10.0.0.1' } }), '203.0.113.5');
+    assert.strictEqual(getClientIp({ headers: { 'x-real-ip': '203.0.113.6' } }), '203.0.113.6');
+    assert.strictEqual(getClientIp({ headers: {}, socket: { remoteAddress: '127.0.0.1' } }), '127.0.0.1');
+});
+
+test('/api/cart turns away a sixth submit in a minute', async () => {
+    const submit = async () => {
+        // Invalid, so nothing reaches the backend - but each one still spends a token
+        const res = createResponse();
+        await cartHandler(createRequest({ method: 'POST', body: {}, ip: '198.51.100.7' }), res);
+        return res;
+    };
+
+    for (let i = 0; i < 5; i++) {
+        assert.strictEqual((await submit()).statusCode, 400);
+    }
+    const limited = await submit();
+    assert.strictEqual(limited.statusCode, 429);
+    assert.strictEqual(limited.headers['retry-after'], '60');
+    assert.strictEqual(limited.body.code, 'RATE_LIMITED');
+});
@@ -0,0 +1,126 @@
+/**
+ * Progress stream: the events relayed for a job, closing once it ends,
+ * the time limit and rate limiting.
+ */
+
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert';
+import { createRequest, createResponse } from '../helpers/mock-http.js';
+import streamHandler, { MAX_STREAM_DURATION } from '../../api/stream/[jobId].js';
+
+/**
+ * Backend replies for successive polls of the job (the last one repeats)
+ */
+function stubBackend(t, replies) {
+    const polls = [];
+    t.mock.method(globalThis, 'fetch', async url => {
+        polls.push(url);
+        const body = replies[Math.min(polls.length, replies.length) - 1];
+        return new Response(JSON.stringify(body));
+    });
+    ['log', 'error'].forEach(method => t.mock.method(console, method, () => {}));
+    return polls;
+}
+
+/**
+ * Events written to the stream as [event, data] (keep-alives as ['keep-alive'])
+ */
+function getEvents(res) {
+    return res.chunks.join('').split('\n\n').filter(Boolean).map(block => {
+        if (block.startsWith(': keep-alive')) {
+            return ['keep-alive'];
+        }
+        const [, event, data] = block.match(/^event: (\w+)\ndata: (.*)$/);
+        return [event, JSON.parse(data)];
+    });
+}
+
+beforeEach(() => {
+    process.env.BACKEND_API_URL = 'http://backend.test';
+});
+
+test('relays progress, partial results and completion, then closes', async (t) => {
+    const processing = { status: 'processing', items_total: 2, results: { milk: [{ price: 3 }] } };
+    const complete = { status: 'complete', results: { milk: [{ price: 3 }], eggs: [{ price: 2 }] } };
+    const polls = stubBackend(t, [{ status: 'queued', queue_position: 2 }, processing, processing, complete]);
+
+    const res = createResponse();
+    await streamHandler(createRequest({ query: { jobId: 'job-12345678' } }), res);
+
+    assert.strictEqual(res.statusCode, 200);
+    assert.strictEqual(res.headers['content-type'], 'text/event-stream');
+    assert.strictEqual(polls.length, 4);
+    assert.strictEqual(polls[0], 'http://backend.test/api/results/job-12345678');
+    assert.deepStrictEqual(getEvents(res), [
+        ['progress', { status: 'queued', queue_position: 2, items_done: null, items_total: null, merchants_scraped: null }],
+        ['partial', processing],
+        ['progress', { status: 'processing', queue_position: null, items_done: 1, items_total: 2, merchants_scraped: null }],
+        ['keep-alive'],
+        ['complete', complete]
+    ]);
+    assert.strictEqual(res.ended, true);
+});
+
+test('a failed job ends the stream with a failed event', async (t) => {
+    const failed = { status: 'failed', error: 'Scraper crashed' };
+    stubBackend(t, [failed]);
+
+    const res = createResponse();
+    await streamHandler(createRequest({ query: { jobId: 'job-12345678' } }), res);
+
+    assert.deepStrictEqual(getEvents(res), [['failed', failed]]);
+    assert.strictEqual(res.ended, true);
+});
+
+test('stops polling when the client disconnects', async (t) => {
+    const polls = stubBackend(t, [{ status: 'processing' }]);
+    const req = createRequest({ query: { jobId: 'job-12345678' } });
+    const res = createResponse();
+
+    const streaming = streamHandler(req, res);
+    while (polls.length === 0) {
+        await new Promise(resolve => setImmediate(resolve));
+    }
+    req.emit('close');
+    await streaming;
+
+    assert.strictEqual(polls.length, 1);
+    assert.strictEqual(res.ended, true);
+});
+
+test('sends a timeout event once the stream reaches its time limit', async (t) => {
+    let now = 1000000;
+    t.mock.method(Date, 'now', () => now);
+    const polls = stubBackend(t, [{ status: 'processing' }]);
+
+    // The first poll takes up the stream's whole time budget
+    const poll = globalThis.fetch;
+    t.mock.method(globalThis, 'fetch', async url => {
+        now += MAX_STREAM_DURATION + 1;
+        return poll(url);
+    });
+
+    const res = createResponse();
+    await streamHandler(createRequest({ query: { jobId: 'job-12345678' } }), res);
+
+    assert.strictEqual(polls.length, 1);
+    assert.deepStrictEqual(getEvents(res).map(([event]) => event), ['progress', 'timeout']);
+    assert.strictEqual(res.ended, true);
+});
+
+test('a client opening streams in a loop is rate limited', async () => {
+    const open = async () => {
+        // Bad job IDs are rejected before any polling, but still count
+        const res = createResponse();
+        await streamHandler(createRequest({ query: { jobId: 'bad' }, ip: '198.51.100.9' }), res);
+        return res;
+    };
+
+    for (let i = 0; i < 10; i++) {
+        assert.strictEqual((await open()).statusCode, 400);
+    }
+    const limited = await open();
+    assert.strictEqual(limited.statusCode, 429);
+    assert.ok(Number(limited.headers['retry-after']) > 0);
+    assert.strictEqual(limited.body.code, 'RATE_LIMITED');
+});
@@ -0,0 +1,143 @@
+/**
+ * Request validation: field-level errors, undeclared fields stripped
+ * before forwarding, and the 400 envelope every route sends.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { cartSchema, clarifySchema, validate } from '../../api/_lib/validation.js';
+import { createRequest, createResponse } from '../helpers/mock-http.js';
+import cartHandler from '../../api/cart.js';
+import clarifyHandler from '../../api/clarify.js';
+import resultsHandler from '../../api/results/[jobId].js';
+import cancelHandler from '../../api/cancel/[jobId].js';
+import streamHandler from '../../api/stream/[jobId].js';
+
+const VALID_CART = { items: ['milk', 'eggs'], zipcode: '12345' };
+
+test('validate() accepts a valid body', () => {
+    const { errors, value } = validate({
+        ...VALID_CART,
+        prioritize_nearby: true,
+        item_details: [{ name: 'milk', quantity: 2, unit: null }],
+        store_preferences: { favorite_merchants: ['Alpha'], max_distance_miles: null }
+    }, cartSchema);
+
+    assert.deepStrictEqual(errors, []);
+    assert.deepStrictEqual(value.item_details, [{ name: 'milk', quantity: 2, unit: null }]);
+    assert.strictEqual(value.store_preferences.max_distance_miles, null);
+});
+
+test('validate() reports each bad field by path', () => {
+    const { errors } = validate({
+        items: ['milk', '   '],
+        zipcode: '1234',
+        prioritize_nearby: 'yes',
+        item_details: [{ name: 'milk', quantity: 0 }],
+        store_preferences: { excluded_merchants: 'Alpha', max_distance_miles: 500 }
+    }, cartSchema);
+
+    assert.deepStrictEqual(errors, [
+        { field: 'items[1]', message: 'Must not be empty' },
+        { field: 'zipcode', message: 'Must be a 5-digit ZIP code' },
+        { field: 'prioritize_nearby', message: 'Must be a boolean' },
+        { field: 'item_details[0].quantity', message: 'Must be at least 0.01' },
+        { field: 'store_preferences.excluded_merchants', message: 'Must be an array' },
+        { field: 'store_preferences.max_distance_miles', message: 'Must be at most 100' }
+    ]);
+});
+
+test('validate() reports missing fields and limits', () => {
+    assert.deepStrictEqual(validate({}, cartSchema).errors, [
+        { field: 'items', message: 'Is required' },
+        { field: 'zipcode', message: 'Is required' }
+    ]);
+    assert.deepStrictEqual(validate({ items: [], zipcode: '12345' }, cartSchema).errors, [
+        { field: 'items', message: 'Must have at least 1 item' }
+    ]);
+    assert.deepStrictEqual(validate({ items: Array(11).fill('milk'), zipcode: '12345' }, cartSchema).errors, [
+        { field: 'items', message: 'Must have at most 10 items' }
+    ]);
+    assert.deepStrictEqual(validate({ item: 'm', context: ['x'.repeat(101)] }, clarifySchema).errors, [
+        { field: 'item', message: 'Must be at least 2 characters' },
+        { field: 'context[0]', message: 'Must be at most 100 characters' }
+    ]);
+    assert.deepStrictEqual(validate({ item: 'milk', context: [Infinity] }, clarifySchema).errors, [
+        { field: 'context[0]', message: 'Must be a string' }
+    ]);
+});
+
+test('validate() rejects a body that is not an object', () => {
+    [null, [], 'milk', 42].forEach(body => {
+        assert.deepStrictEqual(validate(body, cartSchema), {
+            errors: [{ field: 'body', message: 'Request body must be a JSON object' }],
+            value: null
+        });
+    });
+});
+
+test('validate() strips undeclared fields at every level', () => {
+    const { errors, value } = validate({
+        ...VALID_CART,
+        backend_debug: true,
+        item_details: [{ name: 'milk', quantity: 1, price_override: 0 }],
+        store_preferences: { favorite_merchants: [], admin: true }
+    }, cartSchema);
+
+    assert.deepStrictEqual(errors, []);
+    assert.deepStrictEqual(value, {
+        ...VALID_CART,
+        item_details: [{ name: 'milk', quantity: 1 }],
+        store_preferences: { favorite_merchants: [] }
+    });
+});
+
+/**
+ * Call a route and wait for its response
+ */
+async function call(handler, options) {
+    const req = createRequest({ headers: { 'x-request-id': 'test-request' }, ...options });
+    const res = createResponse();
+    await handler(req, res);
+    await res.done;
+    return res;
+}
+
+/**
+ * Assert a 400 in the standard envelope, echoing the request ID
+ */
+function assertValidationError(res, fields) {
+    assert.strictEqual(res.statusCode, 400);
+    assert.strictEqual(res.headers['x-request-id'], 'test-request');
+    assert.deepStrictEqual(res.body, {
+        error: 'Invalid request',
+        code: 'VALIDATION_ERROR',
+        request_id: 'test-request',
+        details: { fields }
+    });
+}
+
+test('/api/cart answers an invalid body with a 400 envelope', async () => {
+    const res = await call(cartHandler, { method: 'POST', body: { items: ['milk'], zipcode: 'abcde' } });
+    assertValidationError(res, [{ field: 'zipcode', message: 'Must be a 5-digit ZIP code' }]);
+});
+
+test('/api/clarify answers an invalid body with a 400 envelope', async () => {
+    const res = await call(clarifyHandler, { method: 'POST', body: { context: [] } });
+    assertValidationError(res, [{ field: 'item', message: 'Is required' }]);
+});
+
+[
+    ['/api/results', resultsHandler, 'GET'],
+    ['/api/cancel', cancelHandler, 'POST'],
+    ['/api/stream', streamHandler, 'GET']
+].forEach(([route, handler, method]) => {
+    test(`${route} answers a bad or missing job ID with a 400 envelope`, async () => {
+        const invalid = await call(handler, { method, query: { jobId: '../../admin' } });
+        assertValidationError(invalid, [{ field: 'jobId', message: 'Has an invalid format' }]);
+
+        const missing = await call(handler, { method, query: {} });
+        assert.strictEqual(missing.statusCode, 400);
+        assert.deepStrictEqual(missing.body, { error: 'Job ID is required', code: 'MISSING_JOB_ID', request_id: 'test-request' });
+    });
+});
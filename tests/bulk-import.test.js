@@ -0,0 +1,51 @@
+/**
+ * Bulk import line parsing: quantities, units and names from free text and
+ * recipe ingredient lines.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { loadApp } from './helpers/load-app.js';
+
+const CASES = [
+    ['2% milk', { name: '2% milk', quantity: 1, unit: '' }],
+    ['7up', { name: '7up', quantity: 1, unit: '' }],
+    ['12 eggs', { name: 'eggs', quantity: 12, unit: 'each' }],
+    ['3 large onions, diced', { name: 'large onions', quantity: 3, unit: 'each' }],
+    ['2x avocados', { name: 'avocados', quantity: 2, unit: 'each' }],
+    ['2 x 7up', { name: '7up', quantity: 2, unit: 'each' }],
+    ['1 gallon 2% milk', { name: '2% milk', quantity: 1, unit: 'gallon' }],
+    ['1 1/2 lb ground beef', { name: 'ground beef', quantity: 1.5, unit: 'lb' }],
+    ['500 g flour', { name: 'flour', quantity: 0.5, unit: 'kg' }],
+    ['2 cans tomatoes', { name: 'tomatoes', quantity: 2, unit: '' }],
+    ['2 cups rice', { name: 'rice', quantity: 1, unit: '' }],
+    ['- bread', { name: 'bread', quantity: 1, unit: '' }]
+];
+
+test('parseImportLine reads quantities, units and names', async () => {
+    const app = await loadApp();
+
+    CASES.forEach(([line, expected]) => {
+        app.window.line = line;
+        assert.deepStrictEqual(app.get('parseImportLine(window.line)'), expected, line);
+    });
+    await app.close();
+});
+
+test('imported counts are priced per item only against count-sized products', async () => {
+    const app = await loadApp();
+    const lineCost = (line, product) => {
+        app.window.args = [line, product];
+        return app.run(`(([line, product]) => {
+            const parsed = parseImportLine(line);
+            return getLineCost(product, createCartItem(parsed.name, parsed.quantity, parsed.unit));
+        })(window.args)`);
+    };
+
+    assert.strictEqual(lineCost('12 eggs', { name: 'Grade A Large Eggs', price: 3.99 }), 3.99);
+    assert.strictEqual(lineCost('12 eggs', { name: 'Large Eggs 12 ct', price: 3.99 }), 3.99);
+    assert.strictEqual(lineCost('12 eggs', { name: 'Eggs 6 ct', price: 2 }), 4);
+    assert.strictEqual(lineCost('3 apples', { name: 'Gala Apples 3 lb bag', price: 4.49 }), 4.49);
+    assert.strictEqual(lineCost('2 cans tomatoes', { name: 'Diced tomatoes', price: 1.25 }), 2.5);
+    await app.close();
+});
@@ -0,0 +1,81 @@
+/**
+ * CSV export and shared links.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { loadApp } from './helpers/load-app.js';
+
+test('CSV fields that a spreadsheet would run as formulas are kept as text', async () => {
+    const app = await loadApp();
+    const toCsvField = value => {
+        app.window.value = value;
+        return app.run('toCsvField(window.value)');
+    };
+
+    assert.strictEqual(toCsvField('=HYPERLINK("http://evil.test")'), `"'=HYPERLINK(""http://evil.test"")"`);
+    assert.strictEqual(toCsvField('+1 555'), "'+1 555");
+    assert.strictEqual(toCsvField('-2+3'), "'-2+3");
+    assert.strictEqual(toCsvField('@SUM(A1)'), "'@SUM(A1)");
+    assert.strictEqual(toCsvField('\t=1'), "'\t=1");
+    assert.strictEqual(toCsvField('\r=1'), `"'\r=1"`);
+
+    // Ordinary values and numbers are unchanged
+    assert.strictEqual(toCsvField('Milk, 1 gal'), '"Milk, 1 gal"');
+    assert.strictEqual(toCsvField('3.49'), '3.49');
+    assert.strictEqual(toCsvField(-1), '-1');
+    assert.strictEqual(toCsvField(null), '');
+    await app.close();
+});
+
+/**
+ * Saved state with a one-item cart, as the app stores it
+ */
+async function savedSession() {
+    const app = await loadApp();
+    app.run(`state.cart = [createCartItem('bread')]; saveState();`);
+    const saved = app.window.localStorage.getItem('lowcost-groceries-state');
+    await app.close();
+    return { 'lowcost-groceries-state': saved };
+}
+
+const SHARED_URL = `https://pricefighter.test/?cart=${encodeURIComponent('[["milk",2,""],["eggs",1,"dozen"]]')}&zip=12345`;
+
+test('a shared link asks before replacing the saved list and does not start a search', async () => {
+    const requests = [];
+    const questions = [];
+    const app = await loadApp({
+        url: SHARED_URL,
+        storage: await savedSession(),
+        fetch: async url => {
+            requests.push(url);
+            throw new TypeError('Failed to fetch');
+        },
+        confirm: question => {
+            questions.push(question);
+            return true;
+        }
+    });
+
+    assert.deepStrictEqual(questions, ['Replace your current list (1 item) with the shared one?']);
+    assert.deepStrictEqual(app.get('state.cart.map(item => item.name)'), ['milk', 'eggs']);
+    assert.strictEqual(app.run('state.currentStep'), 2);
+    assert.strictEqual(app.run('state.zipCode'), '12345');
+    assert.deepStrictEqual(requests.filter(url => url.includes('/api/cart')), []);
+    await app.close();
+});
+
+test('declining a shared link keeps the saved list', async () => {
+    const app = await loadApp({ url: SHARED_URL, storage: await savedSession(), confirm: () => false });
+
+    assert.deepStrictEqual(app.get('state.cart.map(item => item.name)'), ['bread']);
+    assert.strictEqual(app.window.location.search, '');
+    await app.close();
+});
+
+test('a shared link opens without asking when there is no saved list', async () => {
+    const app = await loadApp({ url: SHARED_URL, confirm: () => assert.fail('should not ask') });
+
+    assert.deepStrictEqual(app.get('state.cart.map(item => item.name)'), ['milk', 'eggs']);
+    await app.close();
+});
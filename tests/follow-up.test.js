@@ -0,0 +1,74 @@
+/**
+ * Follow-up searches (edits and substitutes on step 4): starting over
+ * stops them, and they give up on a job that never finishes.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { loadApp, jsonResponse, settle } from './helpers/load-app.js';
+
+/**
+ * Step 4 with results, and a backend whose jobs never finish
+ */
+async function loadResults() {
+    const requests = [];
+    const app = await loadApp({
+        fetch: async (url, options = {}) => {
+            requests.push(`${options.method || 'GET'} ${url}`);
+            if (url.includes('/api/cart')) {
+                return jsonResponse({ job_id: 'follow-up-job' });
+            }
+            return jsonResponse({ status: 'processing', items_done: 0, items_total: 1 });
+        }
+    });
+    app.run(`
+        CONFIG.POLL_INTERVAL = 5;
+        CONFIG.POLL_JITTER = 0;
+        state.zipCode = '12345';
+        state.cart = [createCartItem('milk')];
+        displayResults({ status: 'complete', zip_code: '12345', results: { milk: [] } });
+        goToStep(4);
+    `);
+    return { app, requests, polls: () => requests.filter(request => request.includes('/api/results/follow-up-job')).length };
+}
+
+test('New Search stops a running follow-up search', async () => {
+    const { app, requests, polls } = await loadResults();
+    const outcome = app.run(`runFollowUpSearch([createCartItem('eggs')])`);
+    await settle(50);
+    assert.ok(polls() > 0, 'polling the follow-up job');
+
+    app.document.getElementById('newSearchBtn').click();
+    assert.strictEqual(await outcome, 'cancelled');
+    assert.ok(requests.includes('POST /api/cancel/follow-up-job'), 'backend told to stop');
+
+    const pollsAfterCancel = polls();
+    await settle(50);
+    assert.strictEqual(polls(), pollsAfterCancel, 'no polling after New Search');
+    assert.strictEqual(app.run('state.cart.length'), 0);
+    await app.close();
+});
+
+test('a follow-up search gives up after JOB_MAX_WAIT', async () => {
+    const { app } = await loadResults();
+    app.run(`CONFIG.JOB_MAX_WAIT = 40`);
+
+    assert.strictEqual(await app.run(`runFollowUpSearch([createCartItem('eggs')])`), 'failed');
+    assert.match(app.document.getElementById('toast').textContent, /taking too long/);
+    assert.strictEqual(app.run(`followUpSearching.size`), 0);
+    await app.close();
+});
+
+test('editing the list works when the job sent no results', async () => {
+    const { app, requests } = await loadResults();
+    app.run(`
+        CONFIG.JOB_MAX_WAIT = 40;
+        displayResults({ status: 'complete', zip_code: '12345' });
+        toggleResultsEditor();
+        editDraft[0].name = 'oat milk';
+    `);
+
+    await app.run(`applyResultsEdits()`);
+    assert.ok(requests.includes('POST /api/cart'), 'renamed item searched');
+    await app.close();
+});
@@ -0,0 +1,76 @@
+/**
+ * Test helper - loads index.html and app.js into a jsdom window
+ *
+ * app.run('...') evaluates code inside app.js's top-level scope, so tests
+ * can reach `state` and the module-private functions.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { JSDOM, VirtualConsole } from 'jsdom';
+
+const ROOT = fileURLToPath(new URL('../..', import.meta.url));
+const STYLES_CSS = fs.readFileSync(path.join(ROOT, 'styles.css'), 'utf8');
+
+// Inline the stylesheet so hidden steps and panels are hidden in the DOM too
+const INDEX_HTML = fs.readFileSync(path.join(ROOT, 'index.html'), 'utf8')
+    .replace('<link rel="stylesheet" href="/styles.css">', () => `<style>${STYLES_CSS}</style>`);
+const APP_JS = fs.readFileSync(path.join(ROOT, 'app.js'), 'utf8');
+
+/**
+ * A fetch Response-like object with a JSON body
+ */
+export function jsonResponse(body, status = 200) {
+    return {
+        ok: status >= 200 && status < 300,
+        status,
+        headers: { get: () => null },
+        json: async () => body
+    };
+}
+
+/**
+ * Boot the app. `fetch` defaults to a stub that fails every request;
+ * `storage` pre-fills localStorage before app.js runs.
+ */
+export async function loadApp({ url = 'https://pricefighter.test/', storage = {}, fetch, confirm = () => true } = {}) {
+    const virtualConsole = new VirtualConsole();
+    virtualConsole.on('jsdomError', error => {
+        throw error;
+    });
+
+    const dom = new JSDOM(INDEX_HTML, { url, runScripts: 'outside-only', pretendToBeVisual: true, virtualConsole });
+    const window = dom.window;
+
+    Object.entries(storage).forEach(([key, value]) => window.localStorage.setItem(key, value));
+    window.fetch = fetch || (async () => {
+        throw new TypeError('Failed to fetch');
+    });
+    window.scrollTo = () => {};
+    window.confirm = confirm;
+
+    // A direct eval appended to the script sees its top-level const/let bindings
+    window.eval(`${APP_JS}\n;window.__evalInApp = source => eval(source);`);
+    await settle();
+
+    return {
+        window,
+        document: window.document,
+        run: code => window.__evalInApp(code),
+        // Like run(), but copies the value out of the window (for deepStrictEqual)
+        get: code => JSON.parse(window.__evalInApp(`JSON.stringify(${code})`)),
+        // Let in-flight work finish first so it doesn't touch a closed window
+        close: async () => {
+            await settle();
+            window.close();
+        }
+    };
+}
+
+/**
+ * Let pending promises and timers from the app run
+ */
+export function settle(ms = 20) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
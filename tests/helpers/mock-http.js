@@ -0,0 +1,66 @@
+/**
+ * Test helper - minimal stand-ins for the Vercel (Node) request and
+ * response objects the api/ routes receive
+ */
+
+import { EventEmitter } from 'events';
+
+let nextIp = 1;
+
+/**
+ * An incoming request. Each one gets its own client IP unless `ip` is
+ * given, so rate limits from other tests don't carry over.
+ */
+export function createRequest({ method = 'GET', body, query = {}, headers = {}, ip } = {}) {
+    const req = new EventEmitter();
+    req.method = method;
+    req.body = body;
+    req.query = query;
+    req.headers = { 'x-forwarded-for': ip || `10.0.0.${nextIp++}`, ...headers };
+    return req;
+}
+
+/**
+ * A response that records what the route sent. `res.done` resolves when
+ * the route ends the response.
+ */
+export function createResponse() {
+    let finish;
+    const res = {
+        statusCode: 200,
+        headers: {},
+        body: undefined,
+        chunks: [],
+        ended: false,
+        done: new Promise(resolve => {
+            finish = resolve;
+        }),
+
+        setHeader(name, value) {
+            res.headers[name.toLowerCase()] = value;
+        },
+        status(code) {
+            res.statusCode = code;
+            return res;
+        },
+        json(body) {
+            res.body = body;
+            return res.end();
+        },
+        writeHead(code, headers = {}) {
+            res.statusCode = code;
+            Object.entries(headers).forEach(([name, value]) => res.setHeader(name, value));
+            return res;
+        },
+        write(chunk) {
+            res.chunks.push(String(chunk));
+            return true;
+        },
+        end() {
+            res.ended = true;
+            finish();
+            return res;
+        }
+    };
+    return res;
+}
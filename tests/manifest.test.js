@@ -0,0 +1,28 @@
+/**
+ * Web app manifest: installable icons exist at the sizes they declare.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs';
+
+const ROOT = new URL('../', import.meta.url);
+const manifest = JSON.parse(fs.readFileSync(new URL('manifest.webmanifest', ROOT), 'utf8'));
+
+/**
+ * Width and height from a PNG's IHDR chunk
+ */
+function getPngSize(file) {
+    const data = fs.readFileSync(file);
+    assert.strictEqual(data.toString('latin1', 1, 4), 'PNG');
+    return `${data.readUInt32BE(16)}x${data.readUInt32BE(20)}`;
+}
+
+test('the manifest has 192 and 512 pixel PNG icons', () => {
+    const pngs = manifest.icons.filter(icon => icon.type === 'image/png');
+    assert.deepStrictEqual(pngs.map(icon => icon.sizes), ['192x192', '512x512']);
+
+    pngs.forEach(icon => {
+        assert.strictEqual(getPngSize(new URL(icon.src.slice(1), ROOT)), icon.sizes, icon.src);
+    });
+});
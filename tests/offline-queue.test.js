@@ -0,0 +1,80 @@
+/**
+ * Searches queued while offline belong to the tab that queued them: other
+ * tabs sharing the saved state must not send, drop or duplicate them.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { loadApp, jsonResponse } from './helpers/load-app.js';
+
+const STORAGE_KEY = 'lowcost-groceries-state';
+
+/**
+ * A tab whose API calls are recorded in `requests`
+ */
+async function openTab(storage = {}) {
+    const requests = [];
+    const app = await loadApp({
+        storage,
+        fetch: async (url, options = {}) => {
+            requests.push(`${options.method || 'GET'} ${url}`);
+            if (url.includes('/api/cart')) {
+                return jsonResponse({ job_id: 'job-1234567890' });
+            }
+            return jsonResponse({ status: 'complete', zip_code: '12345', results: { milk: [] } });
+        }
+    });
+    app.run(`CONFIG.USE_STREAMING = false`);
+    return { app, requests, submitted: () => requests.filter(request => request.startsWith('POST') && request.includes('/api/cart')) };
+}
+
+/**
+ * Queue a search in `tab` as if it were made offline
+ */
+function queueSearchIn(tab) {
+    tab.app.run(`
+        state.cart = [createCartItem('milk')];
+        state.zipCode = '12345';
+        goToStep(2);
+        goToStep(3);
+        queueSearch(false);
+    `);
+}
+
+test('only the tab that queued a search sends it when back online', async () => {
+    const tabA = await openTab();
+    queueSearchIn(tabA);
+    const tabB = await openTab({ [STORAGE_KEY]: tabA.app.window.localStorage.getItem(STORAGE_KEY) });
+
+    // Tab B sees the queued search but leaves it alone
+    assert.strictEqual(tabB.app.run('state.currentStep'), 2);
+    tabB.app.window.dispatchEvent(new tabB.app.window.Event('online'));
+    tabB.app.window.dispatchEvent(new tabB.app.window.Event('popstate'));
+    assert.deepStrictEqual(tabB.submitted(), []);
+    assert.ok(tabB.app.run('state.queuedSearch'));
+
+    tabA.app.window.dispatchEvent(new tabA.app.window.Event('online'));
+    assert.strictEqual(tabA.submitted().length, 1);
+    assert.strictEqual(tabA.app.run('state.queuedSearch'), null);
+
+    await tabA.app.close();
+    await tabB.app.close();
+});
+
+test('a save from another tab that raced the queue does not drop it', async () => {
+    const tabA = await openTab();
+    queueSearchIn(tabA);
+
+    // Another tab saved its snapshot without the queued search
+    const snapshot = JSON.parse(tabA.app.window.localStorage.getItem(STORAGE_KEY));
+    snapshot.queuedSearch = null;
+    tabA.app.window.dispatchEvent(new tabA.app.window.StorageEvent('storage', {
+        key: STORAGE_KEY,
+        newValue: JSON.stringify(snapshot)
+    }));
+
+    assert.strictEqual(tabA.app.run('state.currentStep'), 3);
+    tabA.app.window.dispatchEvent(new tabA.app.window.Event('online'));
+    assert.strictEqual(tabA.submitted().length, 1);
+    await tabA.app.close();
+});
@@ -0,0 +1,50 @@
+/**
+ * Line costs: a cart line buys whole packages, never a fraction of one.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { loadApp } from './helpers/load-app.js';
+
+const CASES = [
+    // [product name, price, quantity, unit, expected cost]
+    ['Butter 16 oz', 3, 2, 'lb', 6],
+    ['Ground beef 1 lb', 4, 1.5, 'lb', 8],
+    ['Milk 64 fl oz', 2.5, 1, 'gallon', 5],
+    ['Milk 1 gallon', 4, 0.5, 'gallon', 4],
+    ['Large eggs 12 ct', 3, 3, 'each', 3],
+    ['Large eggs 12 ct', 3, 2, 'dozen', 6],
+    ['Flour 300 g', 2, 0.3, 'kg', 2],
+    ['Juice 64 oz', 5, 1, 'gallon', 10],
+    ['Bread', 2.5, 2, '', 5],
+    ['Olive oil 500 ml', 7, 2, '', 14],
+    ['Soda 2 l', 2, 1, 'lb', 2],
+    // No usable size: one package, whatever the amount
+    ['Grade A Large Eggs', 3.99, 12, 'each', 3.99],
+    ['Gala Apples 3 lb bag', 4.49, 3, 'each', 4.49],
+    ['Chicken thighs family pack', 9, 2, 'lb', 9]
+];
+
+test('getLineCost charges whole packages', async () => {
+    const app = await loadApp();
+
+    CASES.forEach(([name, price, quantity, unit, expected]) => {
+        app.window.args = [{ name, price }, { name: 'item', quantity, unit }];
+        const cost = app.run('getLineCost(...window.args)');
+        assert.ok(Math.abs(cost - expected) < 1e-9, `${quantity} ${unit || 'x'} of ${name}: expected ${expected}, got ${cost}`);
+    });
+    await app.close();
+});
+
+test('a line priced without a known package size says so', async () => {
+    const app = await loadApp();
+    app.run(`
+        state.cart = [createCartItem('eggs', 12, 'each')];
+        displayResults({ status: 'complete', results: { eggs: [{ name: 'Grade A Large Eggs', merchant: 'Alpha', price: 3.99 }] } });
+    `);
+
+    const line = app.document.querySelector('.product-line-total').textContent.replace(/\s+/g, ' ').trim();
+    assert.strictEqual(line, '12 × each = $3.99 (1 pack - size unknown)');
+    assert.strictEqual(app.document.getElementById('basketTotal').textContent, '$3.99');
+    await app.close();
+});
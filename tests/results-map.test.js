@@ -0,0 +1,103 @@
+/**
+ * Store map: stores are plotted from their coordinates or, failing that,
+ * the bundled centre of their ZIP; the rest are listed under the map.
+ * Offline, the map is drawn without street tiles.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs';
+import { loadApp, jsonResponse, settle } from './helpers/load-app.js';
+
+const ZIP_CENTROIDS = JSON.parse(fs.readFileSync(new URL('../zip-centroids.json', import.meta.url), 'utf8'));
+
+const RESULTS = {
+    milk: [
+        { name: 'Milk 1 gal', merchant: 'Alpha', location: 'Main St', price: 3.49, distance: 1.2, latitude: 42.82, longitude: -73.93 },
+        { name: 'Milk 1 gal', merchant: 'Beta', location: 'Oak Ave, Schenectady, NY 12308', price: 3.99, distance: 2.5 }
+    ],
+    eggs: [{ name: 'Eggs 12 ct', merchant: 'Gamma', location: 'Elm St', price: 2.99, distance: 3.1 }]
+};
+
+/**
+ * Render step 4 with the map shown. Only the bundled ZIP centres can be
+ * fetched, as if everything else were unreachable.
+ */
+async function showMap({ zipCode = '12305', zipLocation, online = true } = {}) {
+    const requests = [];
+    const app = await loadApp({
+        fetch: async url => {
+            requests.push(url);
+            if (url === '/zip-centroids.json') {
+                return jsonResponse(ZIP_CENTROIDS);
+            }
+            throw new TypeError('Failed to fetch');
+        }
+    });
+    Object.defineProperty(app.window.navigator, 'onLine', { configurable: true, get: () => online });
+    app.window.response = { status: 'complete', zip_code: zipCode, zip_location: zipLocation, results: RESULTS };
+    app.window.zipCode = zipCode;
+    app.run(`
+        state.zipCode = window.zipCode;
+        state.cart = [createCartItem('milk'), createCartItem('eggs')];
+        state.resultsView.showMap = true;
+        displayResults(window.response);
+    `);
+    await settle();
+    return { app, requests, map: app.document.getElementById('resultsMap') };
+}
+
+const pinned = map => Array.from(map.querySelectorAll('.map-pin-label'), label => label.textContent);
+const listed = map => Array.from(map.querySelectorAll('.map-store .map-store-name'), name => name.textContent);
+
+test('stores are plotted by coordinates or their ZIP, and the rest are listed', async () => {
+    const { app, map } = await showMap({ zipLocation: { latitude: 42.81, longitude: -73.94 } });
+
+    assert.deepStrictEqual(pinned(map), ['Alpha', 'Beta']);
+    assert.match(map.querySelectorAll('.map-pin title')[1].textContent, /placed at its ZIP/);
+    assert.deepStrictEqual(listed(map), ['Gamma']);
+    assert.ok(map.querySelector('.map-store').textContent.includes('3.1 mi'));
+
+    // Listed stores filter the results like pins do
+    map.querySelector('.map-store').click();
+    assert.strictEqual(app.run('state.resultsView.merchant'), 'Gamma');
+    await app.close();
+});
+
+test('the map credits OpenStreetMap for its tiles', async () => {
+    const { app, map } = await showMap({ zipLocation: { latitude: 42.81, longitude: -73.94 } });
+    const attribution = map.querySelector('.map-frame .map-attribution');
+
+    assert.ok(map.querySelectorAll('.map-tile').length > 0);
+    assert.strictEqual(attribution.textContent, '© OpenStreetMap contributors');
+    assert.strictEqual(attribution.getAttribute('href'), 'https://www.openstreetmap.org/copyright');
+    await app.close();
+});
+
+test('offline, the map is drawn from the bundled ZIP centres without tiles', async () => {
+    const { app, requests, map } = await showMap({ online: false });
+
+    assert.deepStrictEqual(requests, ['/zip-centroids.json']);
+    assert.ok(map.querySelector('svg.map-canvas'));
+    assert.strictEqual(map.querySelectorAll('.map-tile').length, 0);
+    assert.ok(map.querySelectorAll('.map-ring').length > 0, 'distance rings as the base layer');
+    assert.strictEqual(map.querySelector('.map-attribution'), null);
+    assert.strictEqual(map.querySelector('.map-offline').textContent, 'Offline - street map unavailable');
+    assert.deepStrictEqual(pinned(map), ['Alpha', 'Beta']);
+    assert.deepStrictEqual(listed(map), ['Gamma']);
+
+    // Back online, the street map comes back
+    Object.defineProperty(app.window.navigator, 'onLine', { configurable: true, get: () => true });
+    app.window.dispatchEvent(new app.window.Event('online'));
+    assert.ok(map.querySelectorAll('.map-tile').length > 0);
+    await app.close();
+});
+
+test('without a location for the searched ZIP nothing is plotted', async () => {
+    const { app, map } = await showMap({ zipCode: '00000' });
+
+    assert.strictEqual(map.querySelector('svg'), null);
+    assert.deepStrictEqual(listed(map), ['Alpha', 'Beta', 'Gamma']);
+    assert.match(map.querySelector('.map-unplaced-title').textContent, /nothing to plot/);
+    await app.close();
+});
@@ -0,0 +1,103 @@
+/**
+ * Hostile item names, suggestions and scraped product data must render as
+ * text: no injected elements, no injected attributes, nothing executed.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { loadApp } from './helpers/load-app.js';
+
+const IMG_PAYLOAD = '<img src=x onerror="window.pwned=1">';
+const DOUBLE_QUOTE_PAYLOAD = '" onmouseover="window.pwned=1" data-x="';
+const SINGLE_QUOTE_PAYLOAD = "' onfocus='window.pwned=1' autofocus='";
+const PAYLOADS = [IMG_PAYLOAD, DOUBLE_QUOTE_PAYLOAD, SINGLE_QUOTE_PAYLOAD];
+
+/**
+ * Fail on any element or event-handler attribute a payload could have created
+ */
+function assertNothingInjected(app) {
+    const { document, window } = app;
+    assert.strictEqual(document.querySelectorAll('img, iframe, script:not([src="/app.js"])').length, 0, 'no injected elements');
+    document.querySelectorAll('*').forEach(element => {
+        [...element.attributes].forEach(attribute => {
+            assert.ok(!/^on/i.test(attribute.name), `<${element.tagName.toLowerCase()}> has ${attribute.name}`);
+            assert.notStrictEqual(attribute.name, 'autofocus', 'no injected autofocus');
+            assert.notStrictEqual(attribute.name, 'data-x', 'no injected data attribute');
+        });
+    });
+    assert.strictEqual(window.pwned, undefined);
+}
+
+/**
+ * Products for one item, with the payload in every scraped field
+ */
+function hostileProducts(payload) {
+    return [
+        { name: payload, title: payload, merchant: payload, location: payload, price: 2, distance_miles: 1 },
+        { name: `${payload} large`, merchant: `${payload} 2`, location: payload, price: 3, distance_miles: 2 }
+    ];
+}
+
+PAYLOADS.forEach(payload => {
+    test(`cart items render ${JSON.stringify(payload)} as text`, async () => {
+        const app = await loadApp();
+        app.window.hostile = payload;
+        app.run(`state.cart = [createCartItem(window.hostile)]; renderCart();`);
+
+        assert.ok(app.document.querySelector('.cart-item-name').textContent.includes(payload));
+        assert.strictEqual(app.document.querySelector('.cart-item-remove').getAttribute('aria-label'), `Remove ${payload}`);
+        assertNothingInjected(app);
+        await app.close();
+    });
+
+    test(`AI suggestions render ${JSON.stringify(payload)} as text`, async () => {
+        const app = await loadApp();
+        app.window.hostile = payload;
+        app.run(`
+            state.pendingSuggestions = [
+                {
+                    id: 1,
+                    originalText: window.hostile,
+                    status: 'complete',
+                    suggestions: { suggested: { name: window.hostile + ' best' }, alternatives: [{ name: window.hostile + ' alt' }] }
+                },
+                { id: 2, originalText: window.hostile, status: 'error', error: window.hostile }
+            ];
+            renderPendingSuggestions();
+        `);
+
+        const names = [...app.document.querySelectorAll('.suggestion-name')].map(element => element.textContent);
+        assert.deepStrictEqual(names, [payload, `${payload} best`, `${payload} alt`]);
+        assert.ok(app.document.querySelector('.error-state').textContent.includes(payload));
+        assertNothingInjected(app);
+        await app.close();
+    });
+
+    test(`product titles, merchants and locations render ${JSON.stringify(payload)} as text`, async () => {
+        const app = await loadApp();
+        app.window.hostile = payload;
+        app.window.hostileProducts = hostileProducts(payload);
+        app.run(`
+            state.zipCode = '12345';
+            state.cart = [createCartItem(window.hostile), createCartItem('milk')];
+            state.resultsView.showMap = true;
+            state.resultsView.expanded = true;
+            displayResults({ status: 'complete', results: { [window.hostile]: window.hostileProducts, milk: [] } });
+            toggleResultsEditor();
+            state.checklist.open = true;
+            renderChecklist();
+            renderPrintList();
+        `);
+
+        const text = app.document.getElementById('resultsTable').textContent;
+        assert.ok(text.includes(payload), 'product name and merchant shown as text');
+        assert.ok(app.document.querySelector('.product-location').textContent.includes(payload));
+        assert.ok(app.document.getElementById('checklistStores').textContent.includes(payload));
+
+        // Values that end up inside attributes round-trip unchanged
+        assert.strictEqual(app.document.querySelector('.results-editor-name').value, payload);
+        assert.strictEqual(app.document.querySelector('#checklistStores [data-item]').dataset.item, payload);
+        assertNothingInjected(app);
+        await app.close();
+    });
+});
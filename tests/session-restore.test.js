@@ -0,0 +1,34 @@
+/**
+ * Reloading mid-flow restores what the user entered on step 2.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { loadApp } from './helpers/load-app.js';
+
+const STORAGE_KEY = 'lowcost-groceries-state';
+
+test('a reload on step 2 keeps the typed ZIP and the nearby toggle', async () => {
+    const app = await loadApp();
+    app.run(`
+        state.cart = [createCartItem('milk')];
+        goToStep(2);
+    `);
+
+    const zipInput = app.document.getElementById('zipInput');
+    zipInput.value = '90210';
+    zipInput.dispatchEvent(new app.window.Event('input'));
+    app.document.getElementById('prioritizeNearbyToggle').click();
+
+    const reloaded = await loadApp({
+        url: app.window.location.href,
+        storage: { [STORAGE_KEY]: app.window.localStorage.getItem(STORAGE_KEY) }
+    });
+    assert.strictEqual(reloaded.run('state.currentStep'), 2);
+    assert.strictEqual(reloaded.document.getElementById('zipInput').value, '90210');
+    assert.strictEqual(reloaded.document.getElementById('prioritizeNearbyToggle').checked, false);
+    assert.strictEqual(reloaded.document.getElementById('findPricesBtn').disabled, false);
+
+    await app.close();
+    await reloaded.close();
+});
@@ -0,0 +1,28 @@
+/**
+ * Store preferences: the maximum distance stays within what the API accepts.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { loadApp } from './helpers/load-app.js';
+
+test('maximum distance is clamped to between 1 and 100 miles', async () => {
+    const app = await loadApp();
+    const input = app.document.getElementById('maxDistanceInput');
+    assert.strictEqual(input.min, '1');
+
+    [['0.5', 1], ['12', 12], ['250', 100], ['', null], ['-3', null]].forEach(([value, expected]) => {
+        input.value = value;
+        input.dispatchEvent(new app.window.Event('change'));
+        assert.strictEqual(app.run('storePreferences.maxDistance'), expected, value);
+    });
+    await app.close();
+});
+
+test('a saved distance below 1 mile is clamped on load', async () => {
+    const app = await loadApp({ storage: { 'lowcost-groceries-store-prefs': JSON.stringify({ maxDistance: 0.2 }) } });
+
+    assert.strictEqual(app.run('storePreferences.maxDistance'), 1);
+    assert.strictEqual(app.run('getStorePreferencesPayload().max_distance_miles'), 1);
+    await app.close();
+});
@@ -0,0 +1,68 @@
+/**
+ * Substitutes for items with no results are looked up once per completed
+ * search, not on every re-render of step 4.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { loadApp, jsonResponse, settle } from './helpers/load-app.js';
+
+const DATA = { status: 'complete', zip_code: '12345', results: { milk: [{ name: 'Milk', merchant: 'Alpha', price: 3 }], caviar: [] } };
+
+test('substitutes are fetched when a search completes, not when results re-render', async () => {
+    const clarified = [];
+    const app = await loadApp({
+        fetch: async (url, options = {}) => {
+            if (url.includes('/api/clarify')) {
+                clarified.push(JSON.parse(options.body).item);
+                return jsonResponse({ suggested: { name: 'salmon roe' }, alternatives: [{ name: 'lumpfish roe' }] });
+            }
+            throw new TypeError('Failed to fetch');
+        }
+    });
+    app.window.data = DATA;
+    app.run(`state.cart = [createCartItem('milk'), createCartItem('caviar')]`);
+
+    // Partial updates and toolbar re-renders don't fetch anything
+    app.run(`displayResults(window.data, true); displayResults(window.data); refreshResults()`);
+    await settle();
+    assert.deepStrictEqual(clarified, []);
+
+    app.run(`handleJobComplete(window.data)`);
+    await settle();
+    assert.deepStrictEqual(clarified, ['caviar']);
+    assert.deepStrictEqual(Array.from(app.document.querySelectorAll('.substitute-option'), option => option.textContent.trim()),
+        ['salmon roe', 'lumpfish roe']);
+
+    app.run(`refreshResults(); refreshResults()`);
+    await settle();
+    assert.deepStrictEqual(clarified, ['caviar']);
+    await app.close();
+});
+
+test('switching to a comparison ZIP looks up substitutes for its results', async () => {
+    const clarified = [];
+    const app = await loadApp({
+        fetch: async (url, options = {}) => {
+            if (url.includes('/api/clarify')) {
+                clarified.push(JSON.parse(options.body).item);
+                return jsonResponse({ suggested: { name: 'salmon roe' }, alternatives: [] });
+            }
+            throw new TypeError('Failed to fetch');
+        }
+    });
+    app.window.data = { ...DATA, results: { ...DATA.results, caviar: [{ name: 'Caviar', merchant: 'Alpha', price: 30 }] } };
+    app.window.comparison = { ...DATA, zip_code: '54321' };
+    app.run(`
+        state.cart = [createCartItem('milk'), createCartItem('caviar')];
+        handleJobComplete(window.data);
+        state.comparisons = [{ zipCode: '54321', jobId: 'job-54321', status: 'complete', data: window.comparison }];
+    `);
+    await settle();
+    assert.deepStrictEqual(clarified, []);
+
+    app.run(`viewComparison(0)`);
+    await settle();
+    assert.deepStrictEqual(clarified, ['caviar']);
+    await app.close();
+});
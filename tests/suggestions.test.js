@@ -0,0 +1,65 @@
+/**
+ * The AI suggestion request queue: items wait for a free slot, and
+ * starting over cancels everything that is running or waiting.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { loadApp, jsonResponse, settle } from './helpers/load-app.js';
+
+/**
+ * An app whose /api/clarify calls stay open until answered by hand, with
+ * one request allowed at a time
+ */
+async function loadWithManualClarify() {
+    const calls = [];
+    const app = await loadApp({
+        fetch: (url, options = {}) => new Promise((resolve, reject) => {
+            const item = JSON.parse(options.body).item;
+            const call = {
+                item,
+                signal: options.signal,
+                answer: () => resolve(jsonResponse({ suggested: { name: `${item} (organic)` }, alternatives: [] }))
+            };
+            options.signal.addEventListener('abort', () => reject(new app.window.DOMException('Aborted', 'AbortError')));
+            calls.push(call);
+        })
+    });
+    app.run(`CONFIG.MAX_CLARIFY_IN_FLIGHT = 1`);
+
+    app.document.getElementById('bulkImportText').value = 'apples\nbread\ncheese';
+    app.document.getElementById('bulkImportBtn').click();
+    await settle();
+    return { app, calls };
+}
+
+test('an item that disappears while queued passes its slot on', async () => {
+    const { app, calls } = await loadWithManualClarify();
+    assert.deepStrictEqual(calls.map(call => call.item), ['apples']);
+
+    // Another tab's save replaced the list while "bread" waited in line
+    app.run(`state.pendingSuggestions = state.pendingSuggestions.filter(pending => pending.originalText !== 'bread')`);
+    calls[0].answer();
+    await settle();
+
+    assert.deepStrictEqual(calls.map(call => call.item), ['apples', 'cheese']);
+    calls[1].answer();
+    await settle();
+    assert.deepStrictEqual(app.get(`state.pendingSuggestions.map(pending => pending.status)`), ['complete', 'complete']);
+    await app.close();
+});
+
+test('New Search aborts running suggestion requests and empties the queue', async () => {
+    const { app, calls } = await loadWithManualClarify();
+    assert.strictEqual(app.run('clarifyQueue.length'), 2);
+
+    app.document.getElementById('newSearchBtn').click();
+    await settle();
+
+    assert.strictEqual(calls[0].signal.aborted, true);
+    assert.strictEqual(app.run('clarifyQueue.length'), 0);
+    assert.strictEqual(app.run('pendingControllers.size'), 0);
+    assert.deepStrictEqual(calls.map(call => call.item), ['apples']);
+    assert.strictEqual(app.document.querySelectorAll('.suggestion-card, .pending-item-card').length, 0);
+    await app.close();
+});
@@ -0,0 +1,93 @@
+/**
+ * Trip optimizer: the selected plan survives re-renders of step 4 and is
+ * reset only when a new result set arrives.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { loadApp } from './helpers/load-app.js';
+
+const DATA = {
+    status: 'complete',
+    zip_code: '12345',
+    results: {
+        milk: [{ name: 'Milk', merchant: 'Alpha', price: 3 }, { name: 'Milk', merchant: 'Beta', price: 4 }],
+        eggs: [{ name: 'Eggs', merchant: 'Alpha', price: 5 }, { name: 'Eggs', merchant: 'Beta', price: 2 }]
+    }
+};
+
+/**
+ * Step 4 showing DATA for a milk and eggs cart
+ */
+async function loadResults() {
+    const app = await loadApp();
+    app.window.data = DATA;
+    app.run(`
+        state.zipCode = '12345';
+        state.cart = [createCartItem('milk'), createCartItem('eggs')];
+        handleJobComplete(window.data);
+    `);
+    return app;
+}
+
+const activePlan = app => app.document.querySelector('.trip-plan-option.active').dataset.plan;
+
+test('re-rendering the results keeps the selected trip plan', async () => {
+    const app = await loadResults();
+    const options = app.document.querySelectorAll('.trip-plan-option');
+    assert.ok(options.length > 1);
+    assert.strictEqual(activePlan(app), String(options.length - 1), 'starts on the cheapest plan');
+
+    options[0].click();
+    assert.strictEqual(activePlan(app), '0');
+
+    const sort = app.document.getElementById('resultsSort');
+    sort.value = 'merchant';
+    sort.dispatchEvent(new app.window.Event('change'));
+    app.run(`refreshResults()`);
+    assert.strictEqual(activePlan(app), '0');
+
+    // A new search starts over on the cheapest plan
+    app.run(`handleJobComplete(window.data)`);
+    assert.strictEqual(activePlan(app), String(options.length - 1));
+    await app.close();
+});
+
+test('rendering results does not log the raw response', async () => {
+    const app = await loadResults();
+    const logged = [];
+    app.window.console.log = (...args) => logged.push(args);
+
+    app.run(`refreshResults()`);
+    assert.deepStrictEqual(logged, []);
+    await app.close();
+});
+
+test('trip plans are built once per result set and cart', async () => {
+    const app = await loadResults();
+    app.run(`
+        window.builds = 0;
+        buildTripPlans = (build => (...args) => {
+            window.builds++;
+            return build(...args);
+        })(buildTripPlans);
+    `);
+
+    // Re-renders, picking a plan, the checklist and the print list reuse the plans
+    app.run(`refreshResults()`);
+    app.document.querySelector('.trip-plan-option').click();
+    app.document.getElementById('checklistBtn').click();
+    app.document.querySelector('#checklistStores input[type="checkbox"]').click();
+    app.run(`renderPrintList()`);
+    assert.strictEqual(app.window.builds, 0);
+
+    // Hiding a store changes the visible results
+    app.run(`state.resultsView.hiddenMerchants = ['Beta']; refreshResults(); refreshResults()`);
+    assert.strictEqual(app.window.builds, 1);
+    assert.strictEqual(app.document.querySelectorAll('.trip-plan-option').length, 1);
+
+    // ...and so does changing the cart
+    app.run(`state.resultsView.hiddenMerchants = []; state.cart[0].quantity = 3; refreshResults()`);
+    assert.strictEqual(app.window.builds, 2);
+    await app.close();
+});